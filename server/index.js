@@ -0,0 +1,143 @@
+// Small token service that performs Strava's OAuth grants on behalf of the
+// frontend, so the client secret never has to ship in the browser bundle.
+//
+//   STRAVA_CLIENT_ID=... STRAVA_CLIENT_SECRET=... npm run server
+//
+// The frontend calls it through REACT_APP_TOKEN_ENDPOINT.
+
+const http = require('http');
+
+const DEFAULT_TOKEN_URL = 'https://www.strava.com/oauth/token';
+// Where `npm start` serves the app; deployments set ALLOWED_ORIGIN
+const DEFAULT_ALLOWED_ORIGIN = 'http://localhost:3000';
+// A grant is a few hundred bytes
+const MAX_BODY_BYTES = 10 * 1024;
+const GRANT_PARAMS = {
+  authorization_code: 'code',
+  refresh_token: 'refresh_token',
+};
+
+class BodyTooLargeError extends Error {
+  constructor(limit) {
+    super(`Request body exceeds ${limit} bytes`);
+    this.name = 'BodyTooLargeError';
+  }
+}
+
+// Rejects with a BodyTooLargeError once the body passes `limit` bytes; the
+// rest is drained unread so a response can still be sent.
+const readJson = (request, { limit = MAX_BODY_BYTES } = {}) =>
+  new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+    if (Number(request.headers['content-length']) > limit) {
+      request.resume();
+      reject(new BodyTooLargeError(limit));
+      return;
+    }
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new BodyTooLargeError(limit));
+        return;
+      }
+      body += chunk;
+    });
+    request.on('end', () => {
+      if (size > limit) return;
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    request.on('error', reject);
+  });
+
+const sendJson = (response, status, data) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(data));
+};
+
+const createTokenServer = ({
+  clientId,
+  clientSecret,
+  tokenUrl = DEFAULT_TOKEN_URL,
+  allowedOrigin = DEFAULT_ALLOWED_ORIGIN,
+}) =>
+  http.createServer(async (request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    response.setHeader('Vary', 'Origin');
+
+    // CORS only hides the response from other sites; the grant would still
+    // run with the client secret, so browsers on other origins are refused
+    const { origin } = request.headers;
+    if (origin && origin !== allowedOrigin) {
+      sendJson(response, 403, { message: 'Origin not allowed' });
+      return;
+    }
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+    if (request.method !== 'POST' || request.url !== '/token') {
+      sendJson(response, 404, { message: 'Not Found' });
+      return;
+    }
+
+    let params;
+    try {
+      params = await readJson(request);
+    } catch (error) {
+      if (error instanceof BodyTooLargeError) {
+        sendJson(response, 413, { message: error.message });
+        return;
+      }
+      sendJson(response, 400, { message: 'Invalid JSON body' });
+      return;
+    }
+
+    // Only the two grants the app needs are forwarded, with exactly one credential each
+    const credential = GRANT_PARAMS[params.grant_type];
+    if (!credential || !params[credential]) {
+      sendJson(response, 400, { message: 'Unsupported grant_type or missing credential' });
+      return;
+    }
+
+    try {
+      const upstream = await fetch(tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          client_id: clientId,
+          client_secret: clientSecret,
+          grant_type: params.grant_type,
+          [credential]: params[credential],
+        }),
+      });
+      sendJson(response, upstream.status, await upstream.json());
+    } catch (error) {
+      console.error('Error contacting Strava token endpoint:', error);
+      sendJson(response, 502, { message: 'Strava token endpoint unreachable' });
+    }
+  });
+
+if (require.main === module) {
+  const { STRAVA_CLIENT_ID, STRAVA_CLIENT_SECRET, STRAVA_TOKEN_URL, ALLOWED_ORIGIN, PORT = 4000 } = process.env;
+  if (!STRAVA_CLIENT_ID || !STRAVA_CLIENT_SECRET) {
+    console.error('STRAVA_CLIENT_ID and STRAVA_CLIENT_SECRET must be set.');
+    process.exit(1);
+  }
+  createTokenServer({
+    clientId: STRAVA_CLIENT_ID,
+    clientSecret: STRAVA_CLIENT_SECRET,
+    tokenUrl: STRAVA_TOKEN_URL,
+    allowedOrigin: ALLOWED_ORIGIN,
+  }).listen(PORT, () => console.log(`Token server listening on http://localhost:${PORT}`));
+}
+
+module.exports = { createTokenServer, readJson, sendJson, BodyTooLargeError };
@@ -0,0 +1,200 @@
+// Stand-in for Strava's OAuth endpoints and the parts of the API the app
+// uses, so the login flow and syncing can run offline.
+//
+//   npm run mock:strava
+//
+// GET /oauth/authorize redirects straight back with a code, POST /oauth/token
+// checks the client credentials and hands out tokens like Strava does, and
+// POST /oauth/deauthorize revokes them. `grantedScope` plays an athlete who
+// unchecks some of the requested scopes on the consent screen.
+// /api/v3/athlete/activities pages through `activities` and sends the
+// rate-limit headers; `server.failNext(429, 503, ...)` makes the next API
+// requests fail with those statuses.
+
+const http = require('http');
+const { readJson, sendJson } = require('./index');
+
+const TOKEN_LIFETIME_S = 6 * 60 * 60;
+const RATE_LIMIT = { shortTerm: 200, daily: 2000 };
+
+const sampleActivities = () => {
+  const year = new Date().getFullYear();
+  return Array.from({ length: 60 }, (_, index) => {
+    const start = new Date(Date.UTC(year, 0, 2 + index * 3, 7, 30));
+    return {
+      id: 1000 + index,
+      name: `Mock Ride ${index + 1}`,
+      type: 'Ride',
+      sport_type: index % 5 === 0 ? 'GravelRide' : 'Ride',
+      start_date: start.toISOString().replace('.000', ''),
+      start_date_local: start.toISOString().replace('.000', ''),
+      distance: 20000 + (index % 7) * 5000,
+      moving_time: 3600 + (index % 7) * 900,
+      elapsed_time: 4000 + (index % 7) * 900,
+      total_elevation_gain: 150 + (index % 4) * 100,
+      trainer: false,
+      commute: index % 6 === 0,
+      private: index % 8 === 7,
+      gear_id: index % 3 === 0 ? 'b2' : 'b1',
+    };
+  }).filter((activity) => new Date(activity.start_date) <= new Date());
+};
+
+const createMockStrava = ({
+  clientId = 'mock-client',
+  clientSecret = 'mock-secret',
+  activities = sampleActivities(),
+  validAccessTokens = [],
+  grantedScope,
+} = {}) => {
+  let counter = 0;
+  let authorizedScope = 'read,activity:read_all,profile:read_all';
+  const refreshTokens = new Set();
+  const accessTokens = new Set(validAccessTokens);
+  const failures = [];
+  const usage = { shortTerm: 0, daily: 0 };
+
+  const handleApi = (request, response, url) => {
+    usage.shortTerm += 1;
+    usage.daily += 1;
+    response.setHeader('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Usage');
+    response.setHeader('X-RateLimit-Limit', `${RATE_LIMIT.shortTerm},${RATE_LIMIT.daily}`);
+    response.setHeader('X-RateLimit-Usage', `${usage.shortTerm},${usage.daily}`);
+
+    const token = (request.headers.authorization || '').replace('Bearer ', '');
+    if (!accessTokens.has(token)) {
+      sendJson(response, 401, {
+        message: 'Authorization Error',
+        errors: [{ resource: 'Athlete', field: 'access_token', code: 'invalid' }],
+      });
+      return;
+    }
+    if (failures.length > 0) {
+      sendJson(response, failures.shift(), { message: 'Injected failure' });
+      return;
+    }
+
+    if (url.pathname === '/api/v3/athlete') {
+      sendJson(response, 200, {
+        id: 1,
+        firstname: 'Mock',
+        lastname: 'Athlete',
+        bikes: [
+          { id: 'b1', primary: true, name: 'Mock Road Bike', resource_state: 2, distance: 8200000, retired: false },
+          { id: 'b2', primary: false, name: 'Mock Gravel Bike', resource_state: 2, distance: 3100000, retired: false },
+        ],
+      });
+      return;
+    }
+    if (url.pathname === '/api/v3/athlete/activities') {
+      const after = parseInt(url.searchParams.get('after')) || 0;
+      const before = parseInt(url.searchParams.get('before')) || Infinity;
+      const perPage = parseInt(url.searchParams.get('per_page')) || 30;
+      const page = parseInt(url.searchParams.get('page')) || 1;
+      // Without activity:read_all Strava leaves out private activities
+      const visible = authorizedScope.split(',').includes('activity:read_all')
+        ? activities
+        : activities.filter((activity) => !activity.private);
+      const matching = visible
+        .filter((activity) => {
+          const start = new Date(activity.start_date).getTime() / 1000;
+          return start > after && start < before;
+        })
+        .sort((a, b) => new Date(a.start_date) - new Date(b.start_date));
+      sendJson(response, 200, matching.slice((page - 1) * perPage, page * perPage));
+      return;
+    }
+    sendJson(response, 404, { message: 'Record Not Found' });
+  };
+
+  const issueTokens = (scope) => {
+    counter += 1;
+    const refreshToken = `mock-refresh-${counter}`;
+    refreshTokens.add(refreshToken);
+    accessTokens.add(`mock-access-${counter}`);
+    return {
+      token_type: 'Bearer',
+      access_token: `mock-access-${counter}`,
+      refresh_token: refreshToken,
+      expires_at: Math.floor(Date.now() / 1000) + TOKEN_LIFETIME_S,
+      expires_in: TOKEN_LIFETIME_S,
+      scope,
+    };
+  };
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    response.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, { 'Access-Control-Allow-Headers': 'Authorization, Content-Type' });
+      response.end();
+      return;
+    }
+    if (request.method === 'GET' && url.pathname.startsWith('/api/v3/')) {
+      handleApi(request, response, url);
+      return;
+    }
+
+    if (request.method === 'GET' && url.pathname === '/oauth/authorize') {
+      const redirect = new URL(url.searchParams.get('redirect_uri'));
+      redirect.searchParams.set('state', url.searchParams.get('state') || '');
+      redirect.searchParams.set('code', 'mock-code');
+      authorizedScope = grantedScope || url.searchParams.get('scope') || 'read';
+      redirect.searchParams.set('scope', authorizedScope);
+      response.writeHead(302, { Location: redirect.toString() });
+      response.end();
+      return;
+    }
+
+    if (request.method === 'POST' && url.pathname === '/oauth/deauthorize') {
+      const token = (request.headers.authorization || '').replace('Bearer ', '');
+      if (!accessTokens.has(token)) {
+        sendJson(response, 401, { message: 'Authorization Error' });
+        return;
+      }
+      // A single mock athlete, so every token goes
+      accessTokens.clear();
+      refreshTokens.clear();
+      sendJson(response, 200, { access_token: token });
+      return;
+    }
+
+    if (request.method !== 'POST' || url.pathname !== '/oauth/token') {
+      sendJson(response, 404, { message: 'Not Found' });
+      return;
+    }
+
+    const params = await readJson(request).catch(() => ({}));
+    if (String(params.client_id) !== clientId || params.client_secret !== clientSecret) {
+      sendJson(response, 401, {
+        message: 'Bad Request',
+        errors: [{ resource: 'Application', field: 'client_id', code: 'invalid' }],
+      });
+      return;
+    }
+
+    if (params.grant_type === 'authorization_code' && params.code === 'mock-code') {
+      sendJson(response, 200, { ...issueTokens(authorizedScope), athlete: { id: 1, firstname: 'Mock' } });
+    } else if (params.grant_type === 'refresh_token' && refreshTokens.has(params.refresh_token)) {
+      refreshTokens.delete(params.refresh_token);
+      sendJson(response, 200, issueTokens(authorizedScope));
+    } else {
+      sendJson(response, 400, {
+        message: 'Bad Request',
+        errors: [{ resource: 'RefreshToken', field: params.grant_type === 'refresh_token' ? 'refresh_token' : 'code', code: 'invalid' }],
+      });
+    }
+  });
+
+  server.failNext = (...statuses) => failures.push(...statuses);
+  return server;
+};
+
+if (require.main === module) {
+  const { STRAVA_CLIENT_ID, STRAVA_CLIENT_SECRET, MOCK_GRANTED_SCOPE, PORT = 4001 } = process.env;
+  createMockStrava({ clientId: STRAVA_CLIENT_ID, clientSecret: STRAVA_CLIENT_SECRET, grantedScope: MOCK_GRANTED_SCOPE })
+    .listen(PORT, () => console.log(`Mock Strava listening on http://localhost:${PORT}`));
+}
+
+module.exports = { createMockStrava };
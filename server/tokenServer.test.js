@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTokenServer } = require('./index');
+const { createMockStrava } = require('./mockStrava');
+
+const listen = (server) =>
+  new Promise((resolve) => server.listen(0, () => resolve(`http://localhost:${server.address().port}`)));
+
+let strava;
+let tokenServer;
+let tokenEndpoint;
+
+before(async () => {
+  strava = createMockStrava({ clientId: 'id', clientSecret: 'secret' });
+  const stravaUrl = await listen(strava);
+  tokenServer = createTokenServer({ clientId: 'id', clientSecret: 'secret', tokenUrl: `${stravaUrl}/oauth/token` });
+  tokenEndpoint = `${await listen(tokenServer)}/token`;
+});
+
+after(() => {
+  strava.close();
+  tokenServer.close();
+});
+
+const postToken = (body) =>
+  fetch(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+test('exchanges an authorization code without the client sending the secret', async () => {
+  const response = await postToken({ grant_type: 'authorization_code', code: 'mock-code' });
+  const data = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.ok(data.access_token);
+  assert.ok(data.refresh_token);
+  assert.ok(data.expires_at > Date.now() / 1000);
+});
+
+test('refreshes a token once and rejects the used refresh token', async () => {
+  const { refresh_token: refreshToken } = await (
+    await postToken({ grant_type: 'authorization_code', code: 'mock-code' })
+  ).json();
+
+  const refreshed = await postToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+  assert.strictEqual(refreshed.status, 200);
+  assert.notStrictEqual((await refreshed.json()).refresh_token, refreshToken);
+
+  const reused = await postToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+  assert.strictEqual(reused.status, 400);
+});
+
+test('rejects grants the app does not use', async () => {
+  const response = await postToken({ grant_type: 'client_credentials' });
+  assert.strictEqual(response.status, 400);
+});
+
+test('answers CORS preflight requests', async () => {
+  const response = await fetch(tokenEndpoint, { method: 'OPTIONS' });
+  assert.strictEqual(response.status, 204);
+  assert.strictEqual(response.headers.get('access-control-allow-origin'), 'http://localhost:3000');
+});
+
+test('refuses browsers on other origins', async () => {
+  const response = await fetch(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Origin: 'https://evil.example' },
+    body: JSON.stringify({ grant_type: 'authorization_code', code: 'mock-code' }),
+  });
+  assert.strictEqual(response.status, 403);
+});
+
+test('rejects oversized bodies', async () => {
+  const response = await postToken({ grant_type: 'refresh_token', refresh_token: 'x'.repeat(20 * 1024) });
+  assert.strictEqual(response.status, 413);
+});
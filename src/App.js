@@ -1,11 +1,20 @@
 import React from 'react';
 import StravaTracker from './components/StravaTracker';
+import ProgressWidget from './components/ProgressWidget';
+import { PreferencesProvider } from './components/PreferencesProvider';
+import { widgetSnapshotFromHash } from './lib/snapshot';
 import './App.css';
 
 function App() {
+  // #/widget/<snapshot> is the read-only card for iframes
+  const widgetSnapshot = widgetSnapshotFromHash(window.location.hash);
+  if (widgetSnapshot !== undefined) return <ProgressWidget snapshot={widgetSnapshot} />;
+
   return (
     <div className="min-h-screen bg-gray-100 p-8">
-      <StravaTracker />
+      <PreferencesProvider>
+        <StravaTracker />
+      </PreferencesProvider>
     </div>
   );
 }
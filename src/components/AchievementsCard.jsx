@@ -0,0 +1,148 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { Award, CalendarCheck, Flame, Medal, Target, Trophy } from 'lucide-react';
+import { computeAchievements } from '../lib/achievements';
+import { getGoalTarget } from '../lib/goals';
+import { usePreferences } from './PreferencesProvider';
+
+const KIND_ICONS = {
+  dayStreak: Flame,
+  weekStreak: CalendarCheck,
+  total: Medal,
+  goalShare: Target,
+  longest: Award,
+  biggestWeek: Trophy,
+};
+
+const StreakTile = ({ icon: Icon, label, current, best }) => (
+  <div className="flex items-center gap-2">
+    <Icon className="h-5 w-5 text-orange-500" />
+    <div>
+      <div className="font-medium">{label}</div>
+      <div>{current} <span className="text-gray-500">· {best}</span></div>
+    </div>
+  </div>
+);
+
+// Streaks and milestones for the selected goal. Achievements not in `seen`
+// (per goal and year) are highlighted until marked as seen; the first time a
+// goal's year is shown, everything already earned counts as seen.
+const AchievementsCard = ({ goals, goalActivities, goalWeights, year, elapsedDays, seen, onSeen, isLoading }) => {
+  const { t, getMetric, formatDate } = usePreferences();
+  const [goalId, setGoalId] = useState(goals[0].id);
+  const goal = goals.find((g) => g.id === goalId) || goals[0];
+  const metric = getMetric(goal.metric);
+  const target = getGoalTarget(goal, year);
+  const activities = goalActivities[goal.id];
+  const weights = goalWeights[goal.id];
+  const seenKey = `${goal.id}:${year}`;
+  const seenKeys = seen[seenKey];
+
+  const { dayStreak, weekStreak, achievements } = useMemo(
+    () => computeAchievements({ activities: activities || [], year, target, weights, metric, elapsedDays }),
+    [activities, year, target, weights, metric, elapsedDays]
+  );
+  const newKeys = seenKeys ? achievements.map((a) => a.key).filter((key) => !seenKeys.includes(key)) : [];
+
+  useEffect(() => {
+    if (!isLoading && !seenKeys) onSeen(seenKey, achievements.map((a) => a.key));
+  }, [isLoading, seenKeys, seenKey, achievements, onSeen]);
+
+  const describe = (achievement) => {
+    switch (achievement.kind) {
+      case 'total':
+        return t('achievements.total', { value: metric.format(achievement.value) });
+      case 'longest':
+        return t('achievements.longest', { name: achievement.activity.name, value: metric.format(achievement.value) });
+      case 'biggestWeek':
+        return t('achievements.biggestWeek', {
+          week: formatDate(achievement.weekStart, { month: 'short', day: 'numeric' }),
+          value: metric.format(achievement.value),
+        });
+      default:
+        return t(`achievements.${achievement.kind}`, { count: achievement.value });
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2 text-xl">
+          <div className="flex items-center gap-2">
+            <Trophy className="h-5 w-5" />
+            {t('achievements.title', { year })}
+          </div>
+          {goals.length > 1 && (
+            <select
+              value={goal.id}
+              onChange={(event) => setGoalId(event.target.value)}
+              className="h-9 rounded-md border bg-background px-2 text-sm font-normal"
+            >
+              {goals.map((g) => (
+                <option key={g.id} value={g.id}>{g.name}</option>
+              ))}
+            </select>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <StreakTile
+            icon={Flame}
+            label={t('achievements.dayStreakLabel')}
+            current={t('achievements.days', { count: dayStreak.current })}
+            best={t('achievements.best', { value: t('achievements.days', { count: dayStreak.longest }) })}
+          />
+          <StreakTile
+            icon={CalendarCheck}
+            label={t('achievements.weekStreakLabel')}
+            current={t('achievements.weeks', { count: weekStreak.current })}
+            best={t('achievements.best', { value: t('achievements.weeks', { count: weekStreak.longest }) })}
+          />
+        </div>
+
+        {newKeys.length > 0 && (
+          <div className="flex items-center justify-between gap-2 text-sm">
+            <span className="font-medium text-amber-700">{t('achievements.newCount', { count: newKeys.length })}</span>
+            <button
+              onClick={() => onSeen(seenKey, achievements.map((a) => a.key))}
+              className="text-blue-500 hover:text-blue-600"
+            >
+              {t('achievements.markSeen')}
+            </button>
+          </div>
+        )}
+
+        {achievements.length === 0 ? (
+          <p className="text-sm text-gray-600">{t('achievements.empty')}</p>
+        ) : (
+          <ul className="space-y-2">
+            {achievements.map((achievement) => {
+              const Icon = KIND_ICONS[achievement.kind];
+              const isNew = newKeys.includes(achievement.key);
+              return (
+                <li
+                  key={achievement.key}
+                  className={`flex items-center justify-between gap-2 rounded-md border p-2 text-sm ${
+                    isNew ? 'border-amber-300 bg-amber-50' : ''
+                  }`}
+                >
+                  <span className="flex items-center gap-2">
+                    <Icon className={`h-4 w-4 ${isNew ? 'text-amber-600' : 'text-blue-500'}`} />
+                    {describe(achievement)}
+                    {isNew && (
+                      <span className="rounded-full bg-amber-500 px-2 text-xs text-white">{t('achievements.new')}</span>
+                    )}
+                  </span>
+                  <span className="text-gray-500">{formatDate(achievement.earnedOn)}</span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AchievementsCard;
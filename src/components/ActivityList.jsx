@@ -0,0 +1,271 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { Input } from './ui/input';
+import { ArrowDown, ArrowUp, ExternalLink, List } from 'lucide-react';
+import { activityDate, activityYear } from '../lib/dates';
+import {
+  activityType,
+  activityTypes,
+  activityUrl,
+  analyticsActivities,
+  averageSpeed,
+  filterActivities,
+  periodAnalytics,
+  sortActivities,
+} from '../lib/activityList';
+import { usePreferences } from './PreferencesProvider';
+
+const PAGE_SIZE = 50;
+const COLUMNS = ['date', 'name', 'type', 'distance', 'movingTime', 'elevation', 'speed'];
+const NUMERIC_COLUMNS = ['distance', 'movingTime', 'elevation', 'speed'];
+const SELECT_CLASS = 'h-9 rounded-md border bg-background px-2 text-sm';
+
+// Speeds and climbing rates in the chosen units, from km/h and m/km
+const useRates = () => {
+  const { getMetric, formatNumber } = usePreferences();
+  const distance = getMetric('distance');
+  const elevation = getMetric('elevation');
+  const orDash = (format) => (value) => (value === null ? '–' : format(value));
+  return {
+    distance,
+    elevation,
+    movingTime: getMetric('movingTime'),
+    speed: orDash((kmh) => `${formatNumber(distance.toDisplay(kmh), 1)} ${distance.unit}/h`),
+    climb: orDash((perKm) =>
+      `${formatNumber(elevation.toDisplay(perKm) / distance.toDisplay(1), 0)} ${elevation.unit}/${distance.unit}`),
+    length: orDash((km) => distance.format(km)),
+  };
+};
+
+const Analytics = ({ activities, year }) => {
+  const { t, formatDate } = usePreferences();
+  const rates = useRates();
+  const [period, setPeriod] = useState('month');
+  const rows = useMemo(() => periodAnalytics(activities, year, period), [activities, year, period]);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="font-medium">{t('activities.analytics')}</div>
+        <div className="flex gap-4 text-sm">
+          {[['month', t('breakdown.monthly')], ['week', t('breakdown.weekly')]].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setPeriod(key)}
+              className={period === key ? 'font-medium text-blue-600' : 'text-gray-600 hover:text-gray-800'}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="py-1 pr-2 font-medium">{t(`activities.period.${period}`)}</th>
+              <th className="py-1 px-2 font-medium text-right">{t('activities.column.count')}</th>
+              <th className="py-1 px-2 font-medium text-right">{t('activities.column.averageSpeed')}</th>
+              <th className="py-1 px-2 font-medium text-right">{t('activities.column.averageDistance')}</th>
+              <th className="py-1 px-2 font-medium text-right">{t('activities.column.elevationPerDistance')}</th>
+              <th className="py-1 pl-2 font-medium text-right">{t('activities.column.rolling')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.start.getTime()} className="border-t tabular-nums">
+                <td className="py-1 pr-2 text-gray-600">
+                  {period === 'week'
+                    ? formatDate(row.start, { month: 'short', day: 'numeric' })
+                    : formatDate(row.start, { month: 'long' })}
+                </td>
+                <td className="py-1 px-2 text-right">{row.count}</td>
+                <td className="py-1 px-2 text-right">{rates.speed(row.averageSpeed)}</td>
+                <td className="py-1 px-2 text-right">{rates.length(row.averageDistance)}</td>
+                <td className="py-1 px-2 text-right">{rates.climb(row.elevationPerKm)}</td>
+                <td className="py-1 pl-2 text-right">{rates.distance.format(row.rolling)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="text-xs text-gray-500">{t('activities.analyticsNote')}</div>
+    </div>
+  );
+};
+
+// Every activity of `year` with search, filters and sorting, and ride-level
+// analytics for whatever the filters leave apart from the month, rides only
+// unless a type or goal is picked.
+const ActivityList = ({ activities, goals, year }) => {
+  const { t, formatDate } = usePreferences();
+  const rates = useRates();
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState('');
+  const [month, setMonth] = useState('');
+  const [goalId, setGoalId] = useState('');
+  const [sort, setSort] = useState({ key: 'date', direction: 'desc' });
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const goal = goals.find((g) => g.id === goalId) || null;
+
+  const yearActivities = useMemo(
+    () => activities.filter((activity) => activityYear(activity) === year),
+    [activities, year]
+  );
+  const types = useMemo(() => activityTypes(yearActivities), [yearActivities]);
+  // Across all years, so rolling distances at the start of the year look back into the last
+  const matching = useMemo(
+    () => filterActivities(activities, { query, type, goal }),
+    [activities, query, type, goal]
+  );
+  const listed = useMemo(
+    () => sortActivities(
+      filterActivities(matching.filter((activity) => activityYear(activity) === year), { month }),
+      sort
+    ),
+    [matching, year, month, sort]
+  );
+  const analysed = useMemo(
+    () => analyticsActivities(matching, { type, goal }),
+    [matching, type, goal]
+  );
+
+  const handleSort = (key) => {
+    setSort((current) => (current.key === key
+      ? { key, direction: current.direction === 'asc' ? 'desc' : 'asc' }
+      : { key, direction: key === 'name' || key === 'type' ? 'asc' : 'desc' }));
+  };
+
+  const cell = (activity, column) => {
+    switch (column) {
+      case 'date':
+        return formatDate(activityDate(activity));
+      case 'name': {
+        const url = activityUrl(activity);
+        return url ? (
+          <a
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center gap-1 text-blue-600 hover:underline"
+            title={t('activities.openOnStrava')}
+          >
+            {activity.name}
+            <ExternalLink className="h-3 w-3 shrink-0" />
+          </a>
+        ) : activity.name;
+      }
+      case 'type':
+        return activityType(activity);
+      case 'distance':
+        return rates.distance.format(rates.distance.value(activity));
+      case 'movingTime':
+        return rates.movingTime.format(rates.movingTime.value(activity));
+      case 'elevation':
+        return rates.elevation.format(rates.elevation.value(activity));
+      default:
+        return rates.speed(averageSpeed(activity));
+    }
+  };
+
+  const SortIcon = sort.direction === 'asc' ? ArrowUp : ArrowDown;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-xl">
+          <List className="h-5 w-5" />
+          {t('activities.title', { year })}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <div className="w-full md:w-64">
+              <Input
+                type="search"
+                value={query}
+                placeholder={t('activities.search')}
+                onChange={(event) => setQuery(event.target.value)}
+              />
+            </div>
+            <select value={type} onChange={(event) => setType(event.target.value)} className={SELECT_CLASS}>
+              <option value="">{t('activities.allTypes')}</option>
+              {types.map((option) => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+            <select value={month} onChange={(event) => setMonth(event.target.value)} className={SELECT_CLASS}>
+              <option value="">{t('activities.allMonths')}</option>
+              {Array.from({ length: 12 }, (_, index) => (
+                <option key={index} value={index}>{formatDate(new Date(year, index, 1), { month: 'long' })}</option>
+              ))}
+            </select>
+            <select value={goalId} onChange={(event) => setGoalId(event.target.value)} className={SELECT_CLASS}>
+              <option value="">{t('activities.allGoals')}</option>
+              {goals.map((g) => (
+                <option key={g.id} value={g.id}>{t('activities.countedFor', { name: g.name })}</option>
+              ))}
+            </select>
+          </div>
+          <div className="text-sm text-gray-600">{t('activities.count', { count: listed.length })}</div>
+
+          {listed.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    {COLUMNS.map((column) => (
+                      <th
+                        key={column}
+                        className={`py-1 px-2 first:pl-0 last:pr-0 font-medium ${
+                          NUMERIC_COLUMNS.includes(column) ? 'text-right' : ''
+                        }`}
+                      >
+                        <button
+                          onClick={() => handleSort(column)}
+                          className="inline-flex items-center gap-1 hover:text-gray-900"
+                        >
+                          {t(`activities.column.${column}`)}
+                          {sort.key === column && <SortIcon className="h-3 w-3" />}
+                        </button>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {listed.slice(0, limit).map((activity) => (
+                    <tr key={activity.id} className="border-t">
+                      {COLUMNS.map((column) => (
+                        <td
+                          key={column}
+                          className={`py-1 px-2 first:pl-0 last:pr-0 ${
+                            NUMERIC_COLUMNS.includes(column) ? 'text-right tabular-nums whitespace-nowrap' : ''
+                          } ${column === 'date' ? 'whitespace-nowrap' : ''}`}
+                        >
+                          {cell(activity, column)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {listed.length > limit && (
+            <button
+              onClick={() => setLimit((current) => current + PAGE_SIZE)}
+              className="text-sm text-blue-500 hover:text-blue-600"
+            >
+              {t('activities.showMore', { count: Math.min(PAGE_SIZE, listed.length - limit) })}
+            </button>
+          )}
+        </div>
+
+        <Analytics activities={analysed} year={year} />
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ActivityList;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { ACTIVITY_TYPE_GROUPS } from '../lib/goals';
+import { usePreferences } from './PreferencesProvider';
+
+// Checkbox grid of the Strava activity types, grouped by sport.
+// Type names are Strava's own identifiers and stay untranslated.
+const ActivityTypePicker = ({ value, onChange }) => {
+  const { t } = usePreferences();
+  const toggleType = (type) => {
+    onChange(value.includes(type) ? value.filter((t) => t !== type) : [...value, type]);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="font-medium">{t('types.title')}</div>
+      {Object.entries(ACTIVITY_TYPE_GROUPS).map(([group, groupTypes]) => (
+        <div key={group} className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm">
+          <span className="w-20 text-gray-600">{t(`types.${group}`)}</span>
+          {groupTypes.map((type) => (
+            <label key={type} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={value.includes(type)}
+                onChange={() => toggleType(type)}
+              />
+              {type}
+            </label>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ActivityTypePicker;
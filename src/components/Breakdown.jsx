@@ -0,0 +1,165 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { CalendarDays } from 'lucide-react';
+import { getGoalTarget } from '../lib/goals';
+import { bucketByDay, dateOfDay, monthsOfYear, weeksOfYear } from '../lib/series';
+import { usePreferences } from './PreferencesProvider';
+
+// Every other heatmap row is labelled, starting on Monday (1 January 2024 was one).
+const LABELLED_WEEKDAYS = [0, 2, 4, 6];
+const weekdayDate = (weekday) => new Date(2024, 0, 1 + weekday);
+const HEAT_LEVELS = ['bg-gray-100', 'bg-blue-200', 'bg-blue-300', 'bg-blue-500', 'bg-blue-700'];
+
+const heatLevel = (value, max) => {
+  if (value <= 0) return 0;
+  return Math.min(HEAT_LEVELS.length - 1, Math.ceil((value / max) * (HEAT_LEVELS.length - 1)));
+};
+
+const PeriodRow = ({ label, value, target, isComplete, metric }) => {
+  const percent = target > 0 ? (value / target) * 100 : 0;
+  const color = percent >= 100 ? 'bg-green-500' : isComplete ? 'bg-red-400' : 'bg-blue-500';
+  return (
+    <div className="grid grid-cols-[6rem_1fr_auto] items-center gap-2 text-sm">
+      <span className="text-gray-600">{label}</span>
+      <div className="h-2 w-full bg-gray-200 rounded-full overflow-hidden">
+        <div className={`h-full ${color}`} style={{ width: `${Math.min(percent, 100)}%` }} />
+      </div>
+      <span className="text-right tabular-nums">
+        {metric.format(value)} / {metric.format(target)}
+      </span>
+    </div>
+  );
+};
+
+// Weekly and monthly totals against the share of the year goal each period
+// should carry under the pacing model, plus a calendar heatmap of daily totals.
+const Breakdown = ({ goals, goalActivities, goalWeights, year, elapsedDays }) => {
+  const { t, getMetric, formatDate } = usePreferences();
+  const [goalId, setGoalId] = useState(goals[0].id);
+  const [period, setPeriod] = useState('month');
+  // The day index only means something in the year it was picked in
+  const [selection, setSelection] = useState(null);
+  const selectedDay = selection && selection.year === year ? selection.dayIndex : null;
+  const goal = goals.find((g) => g.id === goalId) || goals[0];
+  const metric = getMetric(goal.metric);
+  const activities = goalActivities[goal.id];
+
+  const days = useMemo(() => bucketByDay(activities || [], year), [activities, year]);
+  const daily = useMemo(
+    () => days.map((dayActivities) => dayActivities.reduce((sum, a) => sum + metric.value(a), 0)),
+    [days, metric]
+  );
+  const weeks = useMemo(() => weeksOfYear(year), [year]);
+  const target = getGoalTarget(goal, year);
+  const weights = goalWeights[goal.id];
+  const maxDaily = Math.max(...daily, 1);
+
+  const periods = (period === 'week' ? weeks : monthsOfYear(year)).map(({ start, dayIndexes }) => ({
+    label: period === 'week'
+      ? formatDate(start, { month: 'short', day: 'numeric' })
+      : formatDate(start, { month: 'long' }),
+    value: dayIndexes.reduce((sum, dayIndex) => sum + daily[dayIndex], 0),
+    target: target * dayIndexes.reduce((sum, dayIndex) => sum + weights[dayIndex], 0),
+    isComplete: dayIndexes[dayIndexes.length - 1] < elapsedDays - 1,
+    isStarted: dayIndexes[0] < elapsedDays,
+  }));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2 text-xl">
+          <div className="flex items-center gap-2">
+            <CalendarDays className="h-5 w-5" />
+            {t('breakdown.title')}
+          </div>
+          {goals.length > 1 && (
+            <select
+              value={goal.id}
+              onChange={(event) => setGoalId(event.target.value)}
+              className="h-9 rounded-md border bg-background px-2 text-sm font-normal"
+            >
+              {goals.map((g) => (
+                <option key={g.id} value={g.id}>{g.name}</option>
+              ))}
+            </select>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="overflow-x-auto">
+          <div className="flex gap-[3px]">
+            <div className="flex flex-col gap-[3px] pr-1 text-[10px] leading-[11px] text-gray-500">
+              {Array.from({ length: 7 }, (_, weekday) => (
+                <span key={weekday} className="h-[11px]">
+                  {LABELLED_WEEKDAYS.includes(weekday)
+                    ? formatDate(weekdayDate(weekday), { weekday: 'short' })
+                    : ''}
+                </span>
+              ))}
+            </div>
+            {weeks.map(({ start, dayIndexes }) => (
+              <div key={start.getTime()} className="flex flex-col gap-[3px]">
+                {Array.from({ length: 7 }, (_, weekday) => {
+                  const dayIndex = dayIndexes.find(
+                    (index) => (dateOfDay(year, index).getDay() + 6) % 7 === weekday
+                  );
+                  if (dayIndex === undefined) return <span key={weekday} className="h-[11px] w-[11px]" />;
+                  const isSelected = dayIndex === selectedDay;
+                  return (
+                    <button
+                      key={weekday}
+                      onClick={() => setSelection(isSelected ? null : { year, dayIndex })}
+                      title={`${formatDate(dateOfDay(year, dayIndex))}: ${metric.format(daily[dayIndex])}`}
+                      className={`h-[11px] w-[11px] rounded-sm ${HEAT_LEVELS[heatLevel(daily[dayIndex], maxDaily)]} ${
+                        isSelected ? 'ring-2 ring-offset-1 ring-gray-700' : ''
+                      }`}
+                    />
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {selectedDay !== null && (
+          <div className="rounded-md border p-3 text-sm">
+            <div className="font-medium mb-1">
+              {formatDate(dateOfDay(year, selectedDay), { dateStyle: 'full' })}
+            </div>
+            {days[selectedDay].length === 0 ? (
+              <div className="text-gray-500">{t('common.noActivities')}</div>
+            ) : (
+              <ul className="space-y-1">
+                {days[selectedDay].map((activity) => (
+                  <li key={activity.id} className="flex justify-between gap-2">
+                    <span>{activity.name} <span className="text-gray-500">({activity.sport_type || activity.type})</span></span>
+                    <span className="tabular-nums">{metric.format(metric.value(activity))}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <div className="flex gap-4 text-sm">
+            {[['month', t('breakdown.monthly')], ['week', t('breakdown.weekly')]].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setPeriod(key)}
+                className={period === key ? 'font-medium text-blue-600' : 'text-gray-600 hover:text-gray-800'}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {periods.filter((p) => p.isStarted).map((p) => (
+            <PeriodRow key={p.label} metric={metric} {...p} />
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default Breakdown;
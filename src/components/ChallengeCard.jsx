@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { Input } from './ui/input';
+import { Edit2, Trash2, Flag } from 'lucide-react';
+import { sumMetric } from '../lib/metrics';
+import { computeRangeProgress } from '../lib/progress';
+import { activitiesInRange, challengeActivities, challengeRange } from '../lib/challenges';
+import ProgressSummary from './ProgressSummary';
+import ActivityTypePicker from './ActivityTypePicker';
+import RulesEditor from './RulesEditor';
+import MetricSelect from './MetricSelect';
+import { usePreferences } from './PreferencesProvider';
+
+const ChallengeEditor = ({ challenge, activities, onSave, onCancel }) => {
+  const { t, getMetric } = usePreferences();
+  const [name, setName] = useState(challenge.name);
+  const [start, setStart] = useState(challenge.start);
+  const [end, setEnd] = useState(challenge.end);
+  const [metric, setMetric] = useState(challenge.metric);
+  const [target, setTarget] = useState(() => getMetric(challenge.metric).toInput(challenge.target));
+  const [types, setTypes] = useState(challenge.types);
+  const [rules, setRules] = useState(challenge.rules || []);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSave({
+      ...challenge,
+      name: name.trim() || challenge.name,
+      start,
+      end,
+      metric,
+      target: getMetric(metric).fromInput(target, metric === challenge.metric ? challenge.target : undefined),
+      types,
+      rules,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <label className="space-y-1 md:col-span-3">
+          <div className="font-medium">{t('common.name')}</div>
+          <Input value={name} onChange={(event) => setName(event.target.value)} required />
+        </label>
+        <label className="space-y-1">
+          <div className="font-medium">{t('challenge.start')}</div>
+          <Input type="date" value={start} onChange={(event) => setStart(event.target.value)} required />
+        </label>
+        <label className="space-y-1">
+          <div className="font-medium">{t('challenge.end')}</div>
+          <Input type="date" value={end} min={start} onChange={(event) => setEnd(event.target.value)} required />
+        </label>
+        <div />
+        <label className="space-y-1">
+          <div className="font-medium">{t('common.metric')}</div>
+          <MetricSelect value={metric} onChange={setMetric} />
+        </label>
+        <label className="space-y-1">
+          <div className="font-medium">{t('challenge.target')} ({getMetric(metric).unit})</div>
+          <Input
+            type="number"
+            value={target}
+            onChange={(event) => setTarget(event.target.value)}
+            min="1"
+            required
+          />
+        </label>
+      </div>
+
+      <ActivityTypePicker value={types} onChange={setTypes} />
+      <RulesEditor
+        rules={rules}
+        onChange={setRules}
+        types={types}
+        activities={end < start ? [] : activitiesInRange(activities, { start, end })}
+      />
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={types.length === 0 || end < start}
+          className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600 text-sm disabled:opacity-50"
+        >
+          {t('common.save')}
+        </button>
+        <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">
+          {t('common.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// A challenge computes expected progress, projection and required daily
+// over its own date range instead of the calendar year.
+const ChallengeCard = ({ challenge, activities, isLoading, staleSince, onChange, onRemove, initiallyEditing = false }) => {
+  const { t, getMetric, formatDate } = usePreferences();
+  const [isEditing, setIsEditing] = useState(initiallyEditing);
+  const metric = getMetric(challenge.metric);
+  const { start, end } = challengeRange(challenge);
+  const total = sumMetric(challengeActivities(activities, challenge), challenge.metric);
+  const progress = computeRangeProgress({ total, target: challenge.target, start, end });
+
+  const status = progress.elapsedDays === 0
+    ? t('challenge.upcoming')
+    : progress.remainingDays === 0
+      ? t('challenge.finished')
+      : t('challenge.day', { day: progress.elapsedDays, total: progress.totalDays });
+
+  const handleSave = (updatedChallenge) => {
+    onChange(updatedChallenge);
+    setIsEditing(false);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2 text-xl">
+          <div className="flex items-center gap-2">
+            <Flag className="h-5 w-5" />
+            {challenge.name}
+          </div>
+          {!isEditing && (
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setIsEditing(true)}
+                className="text-blue-500 hover:text-blue-600"
+                title={t('challenge.edit')}
+              >
+                <Edit2 className="h-4 w-4" />
+              </button>
+              <button
+                onClick={onRemove}
+                className="text-gray-400 hover:text-red-500"
+                title={t('challenge.remove')}
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+        </CardTitle>
+        {!isEditing && (
+          <div className="text-sm text-gray-600">
+            {formatDate(start)} – {formatDate(end)} · {status} · {metric.label}
+          </div>
+        )}
+      </CardHeader>
+      <CardContent>
+        {isEditing ? (
+          <ChallengeEditor challenge={challenge} activities={activities} onSave={handleSave} onCancel={() => setIsEditing(false)} />
+        ) : (
+          <div className="space-y-6">
+            <div className="flex items-center gap-4">
+              <div className="font-medium">{t('challenge.target')}:</div>
+              <div>{metric.format(challenge.target)}</div>
+            </div>
+            <ProgressSummary
+              metric={metric}
+              total={total}
+              target={challenge.target}
+              progress={progress}
+              projectedLabel={t('challenge.projected')}
+              isLoading={isLoading}
+              staleSince={staleSince}
+            />
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ChallengeCard;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { Download, Printer } from 'lucide-react';
+import { activitiesToCsv, activitiesToJson, buildYearReport, downloadFile } from '../lib/export';
+import { usePreferences } from './PreferencesProvider';
+
+// Export of the activities counted towards any goal, plus the printable report.
+const ExportMenu = ({ year, goals, goalActivities, goalWeights }) => {
+  const { preferences, t } = usePreferences();
+  const yearReport = () => buildYearReport({ year, goals, goalActivities, goalWeights, preferences });
+
+  const countedActivities = () => {
+    const byId = new Map();
+    Object.values(goalActivities).flat().forEach((activity) => byId.set(activity.id, activity));
+    return [...byId.values()];
+  };
+
+  const handlePrint = () => {
+    const report = window.open('', '_blank');
+    if (!report) return;
+    report.document.write(yearReport());
+    report.document.close();
+    report.focus();
+    report.print();
+  };
+
+  const buttonClass = 'flex items-center gap-1 text-blue-500 hover:text-blue-600';
+
+  return (
+    <div className="flex items-center gap-4 text-sm">
+      <span className="text-gray-600">{t('export.label')}</span>
+      <button
+        onClick={() => downloadFile(`activities-${year}.csv`, activitiesToCsv(countedActivities()), 'text/csv')}
+        className={buttonClass}
+      >
+        <Download className="h-4 w-4" />
+        CSV
+      </button>
+      <button
+        onClick={() => downloadFile(`activities-${year}.json`, activitiesToJson(countedActivities()), 'application/json')}
+        className={buttonClass}
+      >
+        <Download className="h-4 w-4" />
+        JSON
+      </button>
+      <button
+        onClick={() => downloadFile(`report-${year}.html`, yearReport(), 'text/html')}
+        className={buttonClass}
+      >
+        <Download className="h-4 w-4" />
+        {t('export.report')}
+      </button>
+      <button onClick={handlePrint} className={buttonClass}>
+        <Printer className="h-4 w-4" />
+        {t('export.print')}
+      </button>
+    </div>
+  );
+};
+
+export default ExportMenu;
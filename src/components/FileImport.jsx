@@ -0,0 +1,66 @@
+import React, { useRef, useState } from 'react';
+import { Upload, Loader2 } from 'lucide-react';
+import { ACCEPTED_FILE_TYPES } from '../lib/fileImport';
+import { usePreferences } from './PreferencesProvider';
+
+// Drop zone and file picker for GPX, TCX and FIT files.
+const FileImport = ({ onImport, isImporting }) => {
+  const { t } = usePreferences();
+  const inputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const handleFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length > 0) onImport(files);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    handleFiles(event.dataTransfer.files);
+  };
+
+  return (
+    <div
+      onDragOver={(event) => {
+        event.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      className={`flex items-center justify-center gap-2 rounded-md border-2 border-dashed p-4 text-sm text-gray-600 ${
+        isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
+      }`}
+    >
+      {isImporting ? (
+        <>
+          <Loader2 className="h-4 w-4 animate-spin" />
+          {t('import.importing')}
+        </>
+      ) : (
+        <>
+          <Upload className="h-4 w-4" />
+          <span>
+            {t('import.drop')}{' '}
+            <button onClick={() => inputRef.current.click()} className="text-blue-500 hover:text-blue-600">
+              {t('import.choose')}
+            </button>
+          </span>
+        </>
+      )}
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_FILE_TYPES}
+        multiple
+        className="hidden"
+        onChange={(event) => {
+          handleFiles(event.target.files);
+          event.target.value = '';
+        }}
+      />
+    </div>
+  );
+};
+
+export default FileImport;
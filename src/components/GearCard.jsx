@@ -0,0 +1,246 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { Input } from './ui/input';
+import { AlertTriangle, Bike, Plus, RotateCcw, Trash2, Wrench } from 'lucide-react';
+import { formatDateInput } from '../lib/dates';
+import {
+  EARLIEST_SERVICE_DATE,
+  MAINTENANCE_PRESETS,
+  createMaintenanceItem,
+  distanceByGear,
+  maintenanceStatus,
+  missingServiceYears,
+} from '../lib/gear';
+import { usePreferences } from './PreferencesProvider';
+
+const STATE_COLORS = { ok: 'bg-blue-500', soon: 'bg-amber-500', due: 'bg-red-500' };
+
+const MaintenanceForm = ({ gearId, onAdd, onCancel }) => {
+  const { t, getMetric } = usePreferences();
+  const distance = getMetric('distance');
+  const [name, setName] = useState('');
+  const [intervalInput, setIntervalInput] = useState('');
+  const today = formatDateInput(new Date());
+  const [resetOn, setResetOn] = useState(today);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onAdd(createMaintenanceItem(gearId, name.trim(), distance.fromInput(intervalInput), resetOn));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 rounded-md border p-3">
+      <div className="flex flex-wrap gap-2 text-xs">
+        {Object.entries(MAINTENANCE_PRESETS).map(([preset, presetInterval]) => (
+          <button
+            key={preset}
+            type="button"
+            onClick={() => {
+              setName(t(`maintenance.${preset}`));
+              setIntervalInput(distance.toInput(presetInterval));
+            }}
+            className="rounded-full border px-2 py-0.5 text-gray-600 hover:border-blue-500 hover:text-blue-600"
+          >
+            {t(`maintenance.${preset}`)}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+        <label className="space-y-1">
+          <div className="font-medium">{t('maintenance.component')}</div>
+          <Input value={name} onChange={(event) => setName(event.target.value)} required />
+        </label>
+        <label className="space-y-1">
+          <div className="font-medium">{t('maintenance.interval', { unit: distance.unit })}</div>
+          <Input
+            type="number"
+            min="1"
+            value={intervalInput}
+            onChange={(event) => setIntervalInput(event.target.value)}
+            required
+          />
+        </label>
+        <label className="space-y-1">
+          <div className="font-medium">{t('maintenance.lastServiced')}</div>
+          <Input
+            type="date"
+            value={resetOn}
+            min={EARLIEST_SERVICE_DATE}
+            max={today}
+            onChange={(event) => setResetOn(event.target.value)}
+            required
+          />
+        </label>
+      </div>
+      <div className="flex gap-2">
+        <button type="submit" className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600 text-sm">
+          {t('common.save')}
+        </button>
+        <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">
+          {t('common.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// `syncedYears` is null without a Strava connection, when there is nothing to load
+const MaintenanceRow = ({ item, activities, syncedYears, onChange, onLoadYears, onRemove }) => {
+  const { t, getMetric } = usePreferences();
+  const distance = getMetric('distance');
+  const status = maintenanceStatus(item, activities);
+  const missingYears = syncedYears ? missingServiceYears(item, syncedYears) : [];
+  const today = formatDateInput(new Date());
+
+  return (
+    <div className="space-y-1 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <span className="flex items-center gap-1">
+          <Wrench className="h-3 w-3 text-gray-500" />
+          {item.name}
+          {status.state !== 'ok' && (
+            <span className={status.state === 'due' ? 'text-red-600' : 'text-amber-600'}>
+              · {t(`maintenance.${status.state}`)}
+            </span>
+          )}
+        </span>
+        <span className="flex items-center gap-2">
+          <span className="tabular-nums">
+            {distance.format(status.distance)} / {distance.format(item.interval)}
+          </span>
+          <button
+            onClick={() => onChange({ ...item, resetOn: today })}
+            className="text-blue-500 hover:text-blue-600"
+            title={t('maintenance.reset')}
+          >
+            <RotateCcw className="h-4 w-4" />
+          </button>
+          <button onClick={onRemove} className="text-gray-400 hover:text-red-500" title={t('maintenance.remove')}>
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </span>
+      </div>
+      <div className="h-2 w-full bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className={`h-full ${STATE_COLORS[status.state]}`}
+          style={{ width: `${Math.min(status.share, 1) * 100}%` }}
+        />
+      </div>
+      <label className="flex items-center gap-2 text-xs text-gray-500">
+        {t('maintenance.lastServiced')}
+        <input
+          type="date"
+          value={item.resetOn}
+          min={EARLIEST_SERVICE_DATE}
+          max={today}
+          onChange={(event) => event.target.value >= EARLIEST_SERVICE_DATE
+            && onChange({ ...item, resetOn: event.target.value })}
+          className="rounded border bg-background px-1"
+        />
+      </label>
+      {missingYears.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1 text-xs text-amber-700">
+          <AlertTriangle className="h-3 w-3" />
+          {t('maintenance.incomplete', { years: missingYears.join(', ') })}
+          <button onClick={() => onLoadYears(missingYears)} className="underline hover:text-amber-900">
+            {t('maintenance.loadYears')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Distance per bike in `year` from `yearActivities`, with maintenance items
+// counted over all cached `activities` since each item's last reset.
+// `onLoadYears` syncs years the count still misses.
+const GearCard = ({ year, bikes, yearActivities, activities, syncedYears, items, onChange, onLoadYears }) => {
+  const { t, getMetric } = usePreferences();
+  const distance = getMetric('distance');
+  const [addingFor, setAddingFor] = useState(null);
+
+  const yearDistance = useMemo(() => distanceByGear(yearActivities), [yearActivities]);
+  const visibleBikes = bikes
+    .filter((bike) => !bike.retired || yearDistance[bike.id])
+    .sort((a, b) => (yearDistance[b.id] || 0) - (yearDistance[a.id] || 0));
+  const maxDistance = Math.max(...visibleBikes.map((bike) => yearDistance[bike.id] || 0), 1);
+
+  const updateItem = (updatedItem) => {
+    onChange(items.map((item) => (item.id === updatedItem.id ? updatedItem : item)));
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-xl">
+          <Bike className="h-5 w-5" />
+          {t('gear.title', { year })}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {visibleBikes.length === 0 && <p className="text-sm text-gray-600">{t('gear.empty')}</p>}
+        {visibleBikes.map((bike) => (
+          <div key={bike.id} className="space-y-3">
+            <div className="space-y-1">
+              <div className="flex justify-between gap-2 text-sm">
+                <span className="font-medium">
+                  {bike.name}
+                  {bike.retired && <span className="text-gray-500 font-normal"> · {t('gear.retired')}</span>}
+                </span>
+                <span className="tabular-nums">
+                  {distance.format(yearDistance[bike.id] || 0)}
+                  {bike.lifetimeDistance !== null && (
+                    <span className="text-gray-500 ml-2">
+                      {t('gear.lifetime', { value: distance.format(bike.lifetimeDistance) })}
+                    </span>
+                  )}
+                </span>
+              </div>
+              <div className="h-2 w-full bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-blue-500"
+                  style={{ width: `${((yearDistance[bike.id] || 0) / maxDistance) * 100}%` }}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-3 pl-4">
+              {items.filter((item) => item.gearId === bike.id).map((item) => (
+                <MaintenanceRow
+                  key={item.id}
+                  item={item}
+                  activities={activities}
+                  syncedYears={syncedYears}
+                  onChange={updateItem}
+                  onLoadYears={onLoadYears}
+                  onRemove={() => onChange(items.filter((other) => other.id !== item.id))}
+                />
+              ))}
+              {addingFor === bike.id ? (
+                <MaintenanceForm
+                  gearId={bike.id}
+                  onAdd={(item) => {
+                    onChange([...items, item]);
+                    setAddingFor(null);
+                  }}
+                  onCancel={() => setAddingFor(null)}
+                />
+              ) : (
+                <button
+                  onClick={() => setAddingFor(bike.id)}
+                  className="flex items-center gap-1 text-sm text-blue-500 hover:text-blue-600"
+                >
+                  <Plus className="h-4 w-4" />
+                  {t('maintenance.add')}
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+        {visibleBikes.length > 0 && <p className="text-xs text-gray-500">{t('gear.basis')}</p>}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default GearCard;
@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { Input } from './ui/input';
+import { Edit2, Share2, Trash2 } from 'lucide-react';
+import { getGoalTarget, withGoalTarget } from '../lib/goals';
+import { sumMetric } from '../lib/metrics';
+import { computeProgress } from '../lib/progress';
+import { createSnapshot } from '../lib/snapshot';
+import ProgressChart from './ProgressChart';
+import ProgressSummary from './ProgressSummary';
+import ActivityTypePicker from './ActivityTypePicker';
+import RulesEditor from './RulesEditor';
+import MetricSelect from './MetricSelect';
+import SharePanel from './SharePanel';
+import { usePreferences } from './PreferencesProvider';
+
+const GoalEditor = ({ goal, year, yearActivities, onSave, onCancel }) => {
+  const { t, getMetric } = usePreferences();
+  const [name, setName] = useState(goal.name);
+  const [metric, setMetric] = useState(goal.metric);
+  const [target, setTarget] = useState(() => getMetric(goal.metric).toInput(getGoalTarget(goal, year)));
+  const [types, setTypes] = useState(goal.types);
+  const [rules, setRules] = useState(goal.rules || []);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    // The input is in display units; goals are stored in the metric's base unit
+    const yearTarget = getMetric(metric).fromInput(
+      target,
+      metric === goal.metric ? getGoalTarget(goal, year) : undefined
+    );
+    const updatedGoal = { ...goal, name: name.trim() || goal.name, metric, types, rules };
+    // The current year's goal also becomes the default for years not set yet
+    if (year === new Date().getFullYear()) updatedGoal.target = yearTarget;
+    onSave(withGoalTarget(updatedGoal, year, yearTarget));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <label className="space-y-1">
+          <div className="font-medium">{t('common.name')}</div>
+          <Input value={name} onChange={(event) => setName(event.target.value)} required />
+        </label>
+        <label className="space-y-1">
+          <div className="font-medium">{t('common.metric')}</div>
+          <MetricSelect value={metric} onChange={setMetric} />
+        </label>
+        <label className="space-y-1">
+          <div className="font-medium">{t('goal.yearGoal', { year })} ({getMetric(metric).unit})</div>
+          <Input
+            type="number"
+            value={target}
+            onChange={(event) => setTarget(event.target.value)}
+            min="1"
+            required
+          />
+        </label>
+      </div>
+
+      <ActivityTypePicker value={types} onChange={setTypes} />
+      <RulesEditor rules={rules} onChange={setRules} types={types} activities={yearActivities} />
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={types.length === 0}
+          className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600 text-sm disabled:opacity-50"
+        >
+          {t('common.save')}
+        </button>
+        <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">
+          {t('common.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// `activities` are the goal's activities in `year`, `yearActivities` all of
+// that year's for the rules preview, and `weights` the pacing model's share of
+// the goal per day of the year.
+const GoalCard = ({
+  goal, year, activities, yearActivities, weights, isLoading, isIncomplete, staleSince, onChange, onRemove, initiallyEditing = false,
+}) => {
+  const { t, getMetric, preferences } = usePreferences();
+  const [isEditing, setIsEditing] = useState(initiallyEditing);
+  const [isSharing, setIsSharing] = useState(false);
+  const metric = getMetric(goal.metric);
+  const yearGoal = getGoalTarget(goal, year);
+  const total = sumMetric(activities, goal.metric);
+
+  const progress = computeProgress({ total, target: yearGoal, year, weights });
+
+  const handleSave = (updatedGoal) => {
+    onChange(updatedGoal);
+    setIsEditing(false);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2 text-xl">
+          <span>{goal.name}</span>
+          {!isEditing && (
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setIsSharing(!isSharing)}
+                className="text-blue-500 hover:text-blue-600"
+                title={t('share.title')}
+              >
+                <Share2 className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setIsEditing(true)}
+                className="text-blue-500 hover:text-blue-600"
+                title={t('goal.edit')}
+              >
+                <Edit2 className="h-4 w-4" />
+              </button>
+              {onRemove && (
+                <button
+                  onClick={onRemove}
+                  className="text-gray-400 hover:text-red-500"
+                  title={t('goal.remove')}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          )}
+        </CardTitle>
+        {!isEditing && (
+          <div className="text-sm text-gray-600">
+            {metric.label} · {goal.types.join(', ')}
+            {goal.rules && goal.rules.length > 0 && ` · ${t('rules.count', { count: goal.rules.length })}`}
+          </div>
+        )}
+      </CardHeader>
+      <CardContent>
+        {isEditing ? (
+          <GoalEditor goal={goal} year={year} yearActivities={yearActivities} onSave={handleSave} onCancel={() => setIsEditing(false)} />
+        ) : (
+          <div className="space-y-6">
+            <div className="flex items-center gap-4">
+              <div className="font-medium">{t('goal.yearGoal', { year })}:</div>
+              <div>{metric.format(yearGoal)}</div>
+            </div>
+
+            {isSharing && !isLoading && (
+              <SharePanel
+                snapshot={createSnapshot({ goal, year, total, target: yearGoal, progress, preferences })}
+              />
+            )}
+
+            <ProgressSummary
+              metric={metric}
+              total={total}
+              target={yearGoal}
+              progress={progress}
+              projectedLabel={t('goal.projected')}
+              isLoading={isLoading}
+              isIncomplete={isIncomplete}
+              staleSince={staleSince}
+            />
+
+            {!isLoading && (
+              <ProgressChart
+                activities={activities}
+                year={year}
+                target={yearGoal}
+                metric={metric}
+                elapsedDays={progress.dayOfYear}
+                projected={progress.projected}
+                weights={weights}
+              />
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default GoalCard;
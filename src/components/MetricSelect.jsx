@@ -0,0 +1,20 @@
+import React from 'react';
+import { METRICS } from '../lib/metrics';
+import { usePreferences } from './PreferencesProvider';
+
+const MetricSelect = ({ value, onChange }) => {
+  const { getMetric } = usePreferences();
+  return (
+    <select
+      value={value}
+      onChange={(event) => onChange(event.target.value)}
+      className="flex h-10 w-full rounded-md border bg-background px-3 py-2 text-sm"
+    >
+      {Object.keys(METRICS).map((key) => (
+        <option key={key} value={key}>{getMetric(key).label}</option>
+      ))}
+    </select>
+  );
+};
+
+export default MetricSelect;
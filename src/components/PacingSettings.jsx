@@ -0,0 +1,89 @@
+import React from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { Input } from './ui/input';
+import { TrendingUp } from 'lucide-react';
+import { PACING_MODELS } from '../lib/pacing';
+import { usePreferences } from './PreferencesProvider';
+
+const toPercentages = (weights) => {
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+  return weights.map((weight) => (sum > 0 ? (weight / sum) * 100 : 0));
+};
+
+// Picks how goals are expected to accrue over the year. `learnedWeights`
+// holds each goal's monthly totals from other years, or null without history.
+const PacingSettings = ({ pacing, onChange, goals, learnedWeights }) => {
+  const { t, formatDate, formatPercent } = usePreferences();
+  const monthNames = Array.from({ length: 12 }, (_, month) =>
+    formatDate(new Date(2024, month, 1), { month: 'short' })
+  );
+  const formatShares = (weights) => toPercentages(weights)
+    .map((percent, month) => `${monthNames[month]} ${formatPercent(percent, 0)}`)
+    .join(' · ');
+
+  const handleWeightChange = (month, value) => {
+    const monthlyWeights = pacing.monthlyWeights.map((weight, index) =>
+      index === month ? Math.max(parseFloat(value) || 0, 0) : weight
+    );
+    onChange({ ...pacing, monthlyWeights });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2 text-xl">
+          <div className="flex items-center gap-2">
+            <TrendingUp className="h-5 w-5" />
+            {t('pacing.title')}
+          </div>
+          <select
+            value={pacing.model}
+            onChange={(event) => onChange({ ...pacing, model: event.target.value })}
+            className="h-9 rounded-md border bg-background px-2 text-sm font-normal"
+          >
+            {PACING_MODELS.map((model) => (
+              <option key={model} value={model}>{t(`pacing.${model}`)}</option>
+            ))}
+          </select>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        {pacing.model === 'linear' && (
+          <div className="text-gray-600">{t('pacing.linearHint')}</div>
+        )}
+
+        {pacing.model === 'custom' && (
+          <>
+            <div className="text-gray-600">{t('pacing.customHint')}</div>
+            <div className="grid grid-cols-4 md:grid-cols-6 gap-2">
+              {monthNames.map((month, index) => (
+                <label key={index} className="space-y-1">
+                  <div className="text-gray-600">{month}</div>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={pacing.monthlyWeights[index]}
+                    onChange={(event) => handleWeightChange(index, event.target.value)}
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="text-xs text-gray-500">{formatShares(pacing.monthlyWeights)}</div>
+          </>
+        )}
+
+        {pacing.model === 'learned' && goals.map((goal) => (
+          <div key={goal.id}>
+            <div className="font-medium">{goal.name}</div>
+            <div className="text-xs text-gray-500">
+              {learnedWeights[goal.id] ? formatShares(learnedWeights[goal.id]) : t('pacing.noHistory')}
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PacingSettings;
@@ -0,0 +1,226 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { Input } from './ui/input';
+import { CalendarRange, CheckCircle2, AlertTriangle, Plus, Trash2 } from 'lucide-react';
+import { parseDate } from '../lib/dates';
+import { getGoalTarget } from '../lib/goals';
+import { sumMetric } from '../lib/metrics';
+import { createBlockedPeriod, planYear } from '../lib/planner';
+import { usePreferences } from './PreferencesProvider';
+
+// 1 January 2024 was a Monday
+const weekdayDate = (weekday) => new Date(2024, 0, 1 + weekday);
+
+const BlockedForm = ({ onAdd, onCancel }) => {
+  const { t } = usePreferences();
+  const [start, setStart] = useState('');
+  const [end, setEnd] = useState('');
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onAdd(createBlockedPeriod(start, end));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-2">
+      <label className="space-y-1">
+        <div className="font-medium">{t('challenge.start')}</div>
+        <Input type="date" value={start} onChange={(event) => setStart(event.target.value)} required />
+      </label>
+      <label className="space-y-1">
+        <div className="font-medium">{t('challenge.end')}</div>
+        <Input type="date" value={end} min={start} onChange={(event) => setEnd(event.target.value)} required />
+      </label>
+      <button
+        type="submit"
+        disabled={end < start}
+        className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600 text-sm disabled:opacity-50"
+      >
+        {t('common.save')}
+      </button>
+      <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">
+        {t('common.cancel')}
+      </button>
+    </form>
+  );
+};
+
+// Week-by-week plan for the rest of the year for the selected goal, around
+// the training weekdays, blocked periods and weekly cap in `planner`.
+const PlannerCard = ({ goals, goalActivities, year, planner, onChange }) => {
+  const { t, getMetric, formatDate } = usePreferences();
+  const [goalId, setGoalId] = useState(goals[0].id);
+  const [isAddingBlocked, setIsAddingBlocked] = useState(false);
+  const goal = goals.find((g) => g.id === goalId) || goals[0];
+  const metric = getMetric(goal.metric);
+  const activities = goalActivities[goal.id];
+  const target = getGoalTarget(goal, year);
+  const maxWeekly = planner.maxWeekly[goal.id];
+  // Typed in display units; kept as typed until it parses
+  const [maxWeeklyInput, setMaxWeeklyInput] = useState(() => (maxWeekly ? String(metric.toInput(maxWeekly)) : ''));
+
+  const plan = useMemo(
+    () => planYear({
+      year,
+      target,
+      total: sumMetric(activities || [], goal.metric),
+      activities: activities || [],
+      metric,
+      planner,
+      maxWeekly,
+    }),
+    [year, target, activities, goal.metric, metric, planner, maxWeekly]
+  );
+  const maxPlanned = Math.max(...plan.weeks.map((week) => week.done + week.planned), 1);
+
+  const toggleWeekday = (weekday) => {
+    const weekdays = planner.weekdays.includes(weekday)
+      ? planner.weekdays.filter((other) => other !== weekday)
+      : [...planner.weekdays, weekday].sort();
+    onChange({ ...planner, weekdays });
+  };
+
+  const handleMaxWeeklyChange = (value) => {
+    setMaxWeeklyInput(value);
+    const updated = value === '' ? undefined : metric.fromInput(value, maxWeekly);
+    onChange({ ...planner, maxWeekly: { ...planner.maxWeekly, [goal.id]: updated } });
+  };
+
+  const handleGoalChange = (id) => {
+    setGoalId(id);
+    const goalMax = planner.maxWeekly[id];
+    const goalMetric = getMetric((goals.find((g) => g.id === id) || goals[0]).metric);
+    setMaxWeeklyInput(goalMax ? String(goalMetric.toInput(goalMax)) : '');
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2 text-xl">
+          <div className="flex items-center gap-2">
+            <CalendarRange className="h-5 w-5" />
+            {t('planner.title', { year })}
+          </div>
+          {goals.length > 1 && (
+            <select
+              value={goal.id}
+              onChange={(event) => handleGoalChange(event.target.value)}
+              className="h-9 rounded-md border bg-background px-2 text-sm font-normal"
+            >
+              {goals.map((g) => (
+                <option key={g.id} value={g.id}>{g.name}</option>
+              ))}
+            </select>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6 text-sm">
+        <div className="space-y-3">
+          <div className="space-y-1">
+            <div className="font-medium">{t('planner.weekdays')}</div>
+            <div className="flex flex-wrap gap-x-4 gap-y-1">
+              {Array.from({ length: 7 }, (_, weekday) => (
+                <label key={weekday} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={planner.weekdays.includes(weekday)}
+                    onChange={() => toggleWeekday(weekday)}
+                  />
+                  {formatDate(weekdayDate(weekday), { weekday: 'short' })}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <label className="block space-y-1 max-w-xs">
+            <div className="font-medium">{t('planner.maxWeekly', { unit: metric.unit })}</div>
+            <Input
+              type="number"
+              min="0"
+              value={maxWeeklyInput}
+              placeholder={t('planner.noLimit')}
+              onChange={(event) => handleMaxWeeklyChange(event.target.value)}
+            />
+          </label>
+
+          <div className="space-y-1">
+            <div className="font-medium">{t('planner.blocked')}</div>
+            {planner.blocked.map((period) => (
+              <div key={period.id} className="flex items-center gap-2">
+                <span>{formatDate(parseDate(period.start))} – {formatDate(parseDate(period.end))}</span>
+                <button
+                  onClick={() => onChange({ ...planner, blocked: planner.blocked.filter((other) => other.id !== period.id) })}
+                  className="text-gray-400 hover:text-red-500"
+                  title={t('planner.removeBlocked')}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+            {isAddingBlocked ? (
+              <BlockedForm
+                onAdd={(period) => {
+                  onChange({ ...planner, blocked: [...planner.blocked, period] });
+                  setIsAddingBlocked(false);
+                }}
+                onCancel={() => setIsAddingBlocked(false)}
+              />
+            ) : (
+              <button
+                onClick={() => setIsAddingBlocked(true)}
+                className="flex items-center gap-1 text-blue-500 hover:text-blue-600"
+              >
+                <Plus className="h-4 w-4" />
+                {t('planner.addBlocked')}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {plan.remaining === 0 ? (
+          <div className="flex items-center gap-2 text-green-700">
+            <CheckCircle2 className="h-5 w-5" />
+            {t('planner.done')}
+          </div>
+        ) : plan.isReachable ? (
+          <div className="flex items-center gap-2 text-green-700">
+            <CheckCircle2 className="h-5 w-5" />
+            {t('planner.reachable', { value: metric.format(plan.perDay), days: plan.trainingDays })}
+          </div>
+        ) : (
+          <div className="flex items-start gap-2 rounded-md border border-amber-300 bg-amber-50 p-3 text-amber-800">
+            <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+            {plan.trainingDays === 0
+              ? t('planner.noDays')
+              : t('planner.unreachable', { value: metric.format(plan.shortfall) })}
+          </div>
+        )}
+
+        <div className="space-y-1">
+          {plan.weeks.map((week) => (
+            <div key={week.start.getTime()} className="grid grid-cols-[5rem_1fr_auto] items-center gap-2">
+              <span className="text-gray-600">{formatDate(week.start, { month: 'short', day: 'numeric' })}</span>
+              <div className="flex h-2 w-full bg-gray-200 rounded-full overflow-hidden">
+                <div className="h-full bg-green-500" style={{ width: `${(week.done / maxPlanned) * 100}%` }} />
+                <div className="h-full bg-blue-500" style={{ width: `${(week.planned / maxPlanned) * 100}%` }} />
+              </div>
+              <span className="text-right tabular-nums">
+                {week.isBlocked
+                  ? <span className="text-gray-500">{t('planner.blockedWeek')}</span>
+                  : week.trainingDays === 0
+                    ? <span className="text-gray-500">{t('planner.restWeek')}</span>
+                    : t('planner.week', {
+                      value: metric.format(week.planned),
+                      days: t('achievements.days', { count: week.trainingDays }),
+                    })}
+                {week.done > 0 && <span className="text-gray-500"> · {t('planner.weekDone', { value: metric.format(week.done) })}</span>}
+              </span>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PlannerCard;
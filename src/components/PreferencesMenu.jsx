@@ -0,0 +1,44 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { LANGUAGES } from '../lib/i18n';
+import { UNIT_SYSTEMS } from '../lib/metrics';
+import { usePreferences } from './PreferencesProvider';
+
+const selectClass = 'h-9 rounded-md border bg-background px-2 text-sm text-gray-900';
+
+// Unit system and language pickers.
+const PreferencesMenu = () => {
+  const { preferences, setPreferences, t } = usePreferences();
+
+  return (
+    <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
+      <label className="flex items-center gap-2">
+        {t('preferences.units')}
+        <select
+          value={preferences.units}
+          onChange={(event) => setPreferences({ ...preferences, units: event.target.value })}
+          className={selectClass}
+        >
+          {UNIT_SYSTEMS.map((units) => (
+            <option key={units} value={units}>{t(`units.${units}`)}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        <Languages className="h-4 w-4" />
+        {t('preferences.language')}
+        <select
+          value={preferences.language}
+          onChange={(event) => setPreferences({ ...preferences, language: event.target.value })}
+          className={selectClass}
+        >
+          {Object.entries(LANGUAGES).map(([language, label]) => (
+            <option key={language} value={language}>{label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default PreferencesMenu;
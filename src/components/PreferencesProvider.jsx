@@ -0,0 +1,33 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { formatDate, formatDateTime, formatNumber, formatPercent, translate } from '../lib/i18n';
+import { getMetric } from '../lib/metrics';
+import { loadPreferences, savePreferences } from '../lib/preferences';
+
+const bindPreferences = (preferences, setPreferences) => ({
+  preferences,
+  setPreferences,
+  t: (key, params) => translate(preferences.language, key, params),
+  formatNumber: (value, digits) => formatNumber(preferences.language, value, digits),
+  formatPercent: (percent, digits) => formatPercent(preferences.language, percent, digits),
+  formatDate: (date, options) => formatDate(preferences.language, date, options),
+  formatDateTime: (date) => formatDateTime(preferences.language, date),
+  getMetric: (key) => getMetric(key, preferences),
+});
+
+const PreferencesContext = createContext(bindPreferences(loadPreferences(), () => {}));
+
+// Units, language and the formatters bound to them, for every component below.
+export const PreferencesProvider = ({ children }) => {
+  const [preferences, setPreferences] = useState(loadPreferences);
+
+  useEffect(() => {
+    savePreferences(preferences);
+    document.documentElement.lang = preferences.language;
+  }, [preferences]);
+
+  const value = useMemo(() => bindPreferences(preferences, setPreferences), [preferences]);
+
+  return <PreferencesContext.Provider value={value}>{children}</PreferencesContext.Provider>;
+};
+
+export const usePreferences = () => useContext(PreferencesContext);
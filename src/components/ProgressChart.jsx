@@ -0,0 +1,121 @@
+import React, { useMemo, useState } from 'react';
+import { bucketByDay, cumulativeSum, dateOfDay } from '../lib/series';
+import { dayOfYear } from '../lib/dates';
+import { usePreferences } from './PreferencesProvider';
+
+const WIDTH = 800;
+const HEIGHT = 240;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 10 };
+
+// Cumulative actual progress against the target pace and the projected
+// year-end trend. `elapsedDays` is how many days of `year` have passed and
+// `weights` the pacing model's share of the target per day.
+const ProgressChart = ({ activities, year, target, metric, elapsedDays, projected, weights }) => {
+  const { t, formatDate } = usePreferences();
+  const [hoverDay, setHoverDay] = useState(null);
+
+  const { days, actual } = useMemo(() => {
+    const buckets = bucketByDay(activities, year);
+    const daily = buckets.map((dayActivities) =>
+      dayActivities.reduce((sum, activity) => sum + metric.value(activity), 0)
+    );
+    return { days: buckets, actual: cumulativeSum(daily) };
+  }, [activities, year, metric]);
+
+  const targetPace = useMemo(
+    () => cumulativeSum(weights).map((share) => share * target),
+    [weights, target]
+  );
+
+  const dayCount = days.length;
+  const total = elapsedDays > 0 ? actual[elapsedDays - 1] : 0;
+  const targetOn = (dayIndex) => targetPace[dayIndex];
+  const maxValue = Math.max(target, projected, total, 1);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (dayIndex) => PADDING.left + (dayIndex / (dayCount - 1)) * plotWidth;
+  const y = (value) => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+  const toPath = (values) => values
+    .map((value, dayIndex) => `${dayIndex === 0 ? 'M' : 'L'}${x(dayIndex)},${y(value)}`)
+    .join(' ');
+
+  const handleMouseMove = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const svgX = ((event.clientX - rect.left) / rect.width) * WIDTH;
+    const dayIndex = Math.round(((svgX - PADDING.left) / plotWidth) * (dayCount - 1));
+    setHoverDay(Math.max(0, Math.min(dayCount - 1, dayIndex)));
+  };
+
+  const hover = hoverDay !== null && hoverDay < elapsedDays ? hoverDay : null;
+  const hoverDiff = hover !== null ? actual[hover] - targetOn(hover) : 0;
+
+  return (
+    <div className="relative">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHoverDay(null)}
+      >
+        {Array.from({ length: 12 }, (_, monthIndex) => {
+          const firstOfMonth = new Date(year, monthIndex, 1);
+          const dayIndex = dayOfYear(firstOfMonth) - 1;
+          return (
+            <g key={monthIndex}>
+              <line x1={x(dayIndex)} x2={x(dayIndex)} y1={PADDING.top} y2={HEIGHT - PADDING.bottom} stroke="#e5e7eb" />
+              <text x={x(dayIndex) + 4} y={HEIGHT - 8} fontSize="11" fill="#6b7280">
+                {formatDate(firstOfMonth, { month: 'short' })}
+              </text>
+            </g>
+          );
+        })}
+        <path d={toPath(targetPace)} fill="none" stroke="#9ca3af" strokeWidth="2" strokeDasharray="6 4" />
+        {elapsedDays > 0 && elapsedDays < dayCount && (
+          <line
+            x1={x(elapsedDays - 1)} y1={y(total)} x2={x(dayCount - 1)} y2={y(projected)}
+            stroke="#93c5fd" strokeWidth="2" strokeDasharray="2 4"
+          />
+        )}
+        <path d={toPath(actual.slice(0, elapsedDays))} fill="none" stroke="#3b82f6" strokeWidth="2.5" />
+        {hover !== null && (
+          <>
+            <line x1={x(hover)} x2={x(hover)} y1={PADDING.top} y2={HEIGHT - PADDING.bottom} stroke="#6b7280" />
+            <circle cx={x(hover)} cy={y(actual[hover])} r="4" fill="#3b82f6" />
+          </>
+        )}
+      </svg>
+
+      <div className="flex flex-wrap gap-4 text-xs text-gray-600">
+        <span className="flex items-center gap-1"><span className="w-4 h-0.5 bg-blue-500" />{t('chart.actual')}</span>
+        <span className="flex items-center gap-1"><span className="w-4 h-0.5 bg-gray-400" />{t('chart.targetPace')}</span>
+        <span className="flex items-center gap-1"><span className="w-4 h-0.5 bg-blue-300" />{t('chart.projected')}</span>
+      </div>
+
+      {hover !== null && (
+        <div
+          className="absolute top-0 rounded-md border bg-white p-2 text-xs shadow-sm pointer-events-none"
+          style={x(hover) > WIDTH / 2 ? { right: `${100 - (x(hover) / WIDTH) * 100}%` } : { left: `${(x(hover) / WIDTH) * 100}%` }}
+        >
+          <div className="font-medium">{formatDate(dateOfDay(year, hover))}</div>
+          {days[hover].length === 0 ? (
+            <div className="text-gray-500">{t('common.noActivities')}</div>
+          ) : (
+            days[hover].map((activity) => (
+              <div key={activity.id}>
+                {activity.name}: {metric.format(metric.value(activity))}
+              </div>
+            ))
+          )}
+          <div className="mt-1">{t('chart.total', { value: metric.format(actual[hover]) })}</div>
+          <div className={hoverDiff >= 0 ? 'text-green-600' : 'text-red-600'}>
+            {t(hoverDiff >= 0 ? 'chart.ahead' : 'chart.behind', { value: metric.format(Math.abs(hoverDiff)) })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProgressChart;
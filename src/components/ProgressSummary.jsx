@@ -0,0 +1,81 @@
+import React from 'react';
+import { Calendar, Target, Activity, TrendingUp, Loader2 } from 'lucide-react';
+import { usePreferences } from './PreferencesProvider';
+
+// Progress bar and the four metrics shared by goal and challenge cards.
+// `progress` is the result of computeProgress / computeWindowProgress, and
+// `staleSince` the last sync time when the numbers may be out of date.
+const ProgressSummary = ({ metric, total, target, progress, projectedLabel, isLoading, isIncomplete, staleSince }) => {
+  const { t, formatPercent, formatDateTime } = usePreferences();
+  const { percentComplete, expectedProgress, expected, projected, requiredDaily } = progress;
+
+  return (
+    <>
+      <div className="space-y-2">
+        <div className="h-4 w-full bg-gray-200 rounded-full overflow-hidden">
+          {isLoading ? (
+            <div className="h-full bg-gray-400 animate-pulse" style={{ width: `100%` }} />
+          ) : (
+            <div
+              className="h-full bg-blue-500"
+              style={{ width: `${Math.min(percentComplete, 100)}%` }}
+            />
+          )}
+        </div>
+        <div className="flex justify-between text-sm text-gray-600">
+          <span>{metric.format(0)}</span>
+          <span>{metric.format(target)}</span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="flex items-center gap-2">
+          <Target className="h-5 w-5 text-blue-500" />
+          <div>
+            <div className="font-medium">{t('progress.progress')}</div>
+            {isLoading ? (
+              <div className="flex items-center gap-1">
+                <span>{t('common.loading')}</span>
+                <Loader2 className="h-4 w-4 animate-spin" />
+              </div>
+            ) : (
+              <div>
+                {metric.format(total)} ({formatPercent(percentComplete)})
+                {isIncomplete && <span className="text-amber-600"> · {t('progress.incomplete')}</span>}
+                {staleSince && (
+                  <span className="text-amber-600"> · {t('progress.asOf', { date: formatDateTime(staleSince) })}</span>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <Calendar className="h-5 w-5 text-blue-500" />
+          <div>
+            <div className="font-medium">{t('progress.expected')}</div>
+            <div>{metric.format(expected)} ({formatPercent(expectedProgress)})</div>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <TrendingUp className="h-5 w-5 text-blue-500" />
+          <div>
+            <div className="font-medium">{projectedLabel}</div>
+            <div>{isLoading ? t('common.calculating') : metric.format(projected)}</div>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <Activity className="h-5 w-5 text-blue-500" />
+          <div>
+            <div className="font-medium">{t('progress.requiredDaily')}</div>
+            <div>{isLoading ? t('common.calculating') : metric.formatRate(requiredDaily)}</div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ProgressSummary;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { DEFAULT_LANGUAGE, formatDateTime, formatPercent, translate } from '../lib/i18n';
+import { getMetric } from '../lib/metrics';
+import imgPoweredByStrava from '../assets/api_logo_pwrdBy_strava_horiz_light.svg';
+
+const clampPercent = (percent) => Math.min(Math.max(percent, 0), 100);
+
+// Read-only progress card for iframes. Everything comes from the shared
+// `snapshot` and is shown in the sharer's units and language.
+const ProgressWidget = ({ snapshot }) => {
+  if (!snapshot) {
+    return <div className="p-4 text-sm text-gray-600">{translate(DEFAULT_LANGUAGE, 'widget.invalid')}</div>;
+  }
+
+  const metric = getMetric(snapshot.metric, snapshot);
+  const t = (key, params) => translate(snapshot.language, key, params);
+
+  return (
+    <div className="space-y-3 rounded-lg border bg-white p-4 text-sm">
+      <div className="flex items-baseline justify-between gap-2">
+        <div className="font-semibold text-base">{snapshot.name}</div>
+        <div className="text-gray-500">{snapshot.year}</div>
+      </div>
+      <div className="relative h-3 w-full bg-gray-200 rounded-full overflow-hidden">
+        <div className="h-full bg-blue-500" style={{ width: `${clampPercent(snapshot.percentComplete)}%` }} />
+        {snapshot.expectedProgress !== null && (
+          <div
+            className="absolute top-0 h-full w-0.5 bg-gray-700"
+            style={{ left: `${clampPercent(snapshot.expectedProgress)}%` }}
+            title={t('progress.expected')}
+          />
+        )}
+      </div>
+      <div className="flex justify-between">
+        <span>
+          <span className="font-medium">{metric.format(snapshot.total)}</span> / {metric.format(snapshot.target)}
+        </span>
+        <span className="font-medium text-blue-600">{formatPercent(snapshot.language, snapshot.percentComplete)}</span>
+      </div>
+      {snapshot.projected !== null && (
+        <div className="text-gray-600">
+          {t('goal.projected')}: {metric.format(snapshot.projected)}
+        </div>
+      )}
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-xs text-gray-500">
+          {snapshot.takenAt && t('progress.asOf', { date: formatDateTime(snapshot.language, new Date(snapshot.takenAt)) })}
+        </span>
+        <img src={imgPoweredByStrava} alt={t('app.poweredByStrava')} className="h-5 w-auto" />
+      </div>
+    </div>
+  );
+};
+
+export default ProgressWidget;
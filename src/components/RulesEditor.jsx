@@ -0,0 +1,155 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Input } from './ui/input';
+import { Check, Plus, Trash2, X } from 'lucide-react';
+import { activityDate } from '../lib/dates';
+import { ACTIVITY_TYPE_GROUPS, explainMatch } from '../lib/goals';
+import { RULE_ACTIONS, RULE_KINDS, createRule, withRuleId } from '../lib/rules';
+import { usePreferences } from './PreferencesProvider';
+
+const SPORT_TYPES = Object.values(ACTIVITY_TYPE_GROUPS).flat();
+const PREVIEW_LIMIT = 50;
+const selectClass = 'h-9 rounded-md border bg-background px-2 text-sm';
+
+const RuleRow = ({ rule, onChange, onRemove }) => {
+  const { t, getMetric } = usePreferences();
+  const distance = getMetric('distance');
+  // Distances are stored in km but typed in the display unit
+  const [distanceInput, setDistanceInput] = useState(() =>
+    rule.kind === 'shorterThan' ? String(Math.round(distance.toDisplay(rule.value) * 10) / 10) : ''
+  );
+
+  const changeKind = (kind) => {
+    const updated = { ...createRule(kind), id: rule.id, action: rule.action };
+    if (kind === 'shorterThan') setDistanceInput(String(Math.round(distance.toDisplay(updated.value) * 10) / 10));
+    onChange(updated);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <select value={rule.action} onChange={(event) => onChange({ ...rule, action: event.target.value })} className={selectClass}>
+        {RULE_ACTIONS.map((action) => (
+          <option key={action} value={action}>{t(`rules.action.${action}`)}</option>
+        ))}
+      </select>
+      <select value={rule.kind} onChange={(event) => changeKind(event.target.value)} className={selectClass}>
+        {RULE_KINDS.map((kind) => (
+          <option key={kind} value={kind}>{t(`rules.kind.${kind}`)}</option>
+        ))}
+      </select>
+      {rule.kind === 'sportType' && (
+        <select value={rule.value} onChange={(event) => onChange({ ...rule, value: event.target.value })} className={selectClass}>
+          {SPORT_TYPES.map((type) => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+      )}
+      {rule.kind === 'shorterThan' && (
+        <span className="flex items-center gap-1">
+          <span className="w-24">
+            <Input
+              type="number"
+              min="0"
+              step="0.1"
+              value={distanceInput}
+              onChange={(event) => {
+                setDistanceInput(event.target.value);
+                onChange({ ...rule, value: (parseFloat(event.target.value) || 0) / distance.toDisplay(1) });
+              }}
+            />
+          </span>
+          {distance.unit}
+        </span>
+      )}
+      {rule.kind === 'name' && (
+        <span className="w-48">
+          <Input
+            value={rule.value}
+            placeholder={t('rules.namePlaceholder')}
+            onChange={(event) => onChange({ ...rule, value: event.target.value })}
+          />
+        </span>
+      )}
+      <button type="button" onClick={onRemove} className="text-gray-400 hover:text-red-500" title={t('rules.remove')}>
+        <Trash2 className="h-4 w-4" />
+      </button>
+    </div>
+  );
+};
+
+// Edits `rules` and previews them on `activities`, the candidates from the
+// period being counted, together with the selected `types`.
+const RulesEditor = ({ rules, onChange, types, activities }) => {
+  const { t, getMetric, formatDate } = usePreferences();
+  const distance = getMetric('distance');
+
+  const preview = useMemo(
+    () => activities
+      .map((activity) => ({ activity, match: explainMatch(activity, { types, rules }) }))
+      .sort((a, b) => activityDate(b.activity) - activityDate(a.activity)),
+    [activities, types, rules]
+  );
+  const countedCount = preview.filter(({ match }) => match.counted).length;
+
+  const reason = ({ activity, match }) => {
+    if (match.counted) return t('rules.counted');
+    if (match.reason === 'type') return t('rules.reason.type', { type: activity.sport_type || activity.type });
+    const { rule } = match;
+    const value = rule.kind === 'shorterThan' ? distance.format(rule.value) : rule.value;
+    return t(`rules.reason.${rule.action}.${rule.kind}`, { value });
+  };
+
+  useEffect(() => {
+    if (rules.some((rule) => !rule.id)) onChange(rules.map(withRuleId));
+  }, [rules, onChange]);
+
+  const updateRule = (index, rule) => onChange(rules.map((other, otherIndex) => (otherIndex === index ? rule : other)));
+
+  return (
+    <div className="space-y-2">
+      <div className="font-medium">{t('rules.title')}</div>
+      {rules.map((rule, index) => (
+        <RuleRow
+          key={rule.id || index}
+          rule={rule}
+          onChange={(updated) => updateRule(index, updated)}
+          onRemove={() => onChange(rules.filter((_, otherIndex) => otherIndex !== index))}
+        />
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...rules, createRule()])}
+        className="flex items-center gap-1 text-sm text-blue-500 hover:text-blue-600"
+      >
+        <Plus className="h-4 w-4" />
+        {t('rules.add')}
+      </button>
+
+      {preview.length > 0 && (
+        <details className="rounded-md border p-3 text-sm">
+          <summary className="cursor-pointer">
+            {t('rules.preview', { counted: countedCount, excluded: preview.length - countedCount })}
+          </summary>
+          <ul className="mt-2 space-y-1">
+            {preview.slice(0, PREVIEW_LIMIT).map((entry) => (
+              <li key={entry.activity.id} className="flex items-center justify-between gap-2">
+                <span className="flex items-center gap-1">
+                  {entry.match.counted
+                    ? <Check className="h-4 w-4 text-green-600" />
+                    : <X className="h-4 w-4 text-gray-400" />}
+                  <span className={entry.match.counted ? '' : 'text-gray-500'}>{entry.activity.name}</span>
+                  <span className="text-gray-400">{formatDate(activityDate(entry.activity))}</span>
+                </span>
+                <span className={entry.match.counted ? 'text-green-700' : 'text-gray-500'}>{reason(entry)}</span>
+              </li>
+            ))}
+          </ul>
+          {preview.length > PREVIEW_LIMIT && (
+            <div className="mt-2 text-xs text-gray-500">{t('rules.previewLimit', { count: PREVIEW_LIMIT })}</div>
+          )}
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default RulesEditor;
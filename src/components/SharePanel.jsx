@@ -0,0 +1,94 @@
+import React, { useRef, useState } from 'react';
+import { Copy, Check, ImageDown, Loader2 } from 'lucide-react';
+import { downloadFile } from '../lib/export';
+import { renderShareImage } from '../lib/shareImage';
+import { embedCode, widgetUrl } from '../lib/snapshot';
+import imgPoweredByStrava from '../assets/api_logo_pwrdBy_strava_horiz_light.svg';
+import { usePreferences } from './PreferencesProvider';
+
+const CopyField = ({ label, value, multiline }) => {
+  const { t } = usePreferences();
+  const [copyState, setCopyState] = useState(null);
+  const fieldRef = useRef(null);
+  const Field = multiline ? 'textarea' : 'input';
+
+  // Without clipboard access (denied, insecure context, old browser) the text
+  // is selected instead so it can be copied by hand
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(value);
+      setCopyState('copied');
+    } catch (error) {
+      console.error('Error copying to the clipboard:', error);
+      fieldRef.current.focus();
+      fieldRef.current.select();
+      setCopyState('failed');
+    }
+  };
+
+  return (
+    <label className="block space-y-1">
+      <div className="flex items-center justify-between text-sm">
+        <span className="font-medium">{label}</span>
+        <button type="button" onClick={handleCopy} className="flex items-center gap-1 text-blue-500 hover:text-blue-600">
+          {copyState === 'copied' ? <Check className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+          {copyState === 'copied' ? t('share.copied') : t('share.copy')}
+        </button>
+      </div>
+      <Field
+        ref={fieldRef}
+        readOnly
+        value={value}
+        rows={multiline ? 3 : undefined}
+        onFocus={(event) => event.target.select()}
+        className="w-full rounded-md border bg-gray-50 px-3 py-2 font-mono text-xs"
+      />
+      {copyState === 'failed' && <div className="text-xs text-red-600">{t('share.copyFailed')}</div>}
+    </label>
+  );
+};
+
+// Share image and widget embed for one goal's `snapshot`.
+const SharePanel = ({ snapshot }) => {
+  const { t } = usePreferences();
+  const [isRendering, setIsRendering] = useState(false);
+  const url = widgetUrl(snapshot);
+
+  // Uses the system share sheet where it takes files, e.g. on phones
+  const handleShareImage = async () => {
+    setIsRendering(true);
+    try {
+      const blob = await renderShareImage(snapshot, imgPoweredByStrava);
+      const fileName = `${snapshot.name}-${snapshot.year}.png`.replace(/[^\w.-]+/g, '-');
+      const file = new File([blob], fileName, { type: 'image/png' });
+      if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        await navigator.share({ files: [file], title: snapshot.name });
+      } else {
+        downloadFile(fileName, blob, 'image/png');
+      }
+    } catch (error) {
+      // Closing the share sheet rejects with AbortError
+      if (error.name !== 'AbortError') console.error('Error sharing image:', error);
+    } finally {
+      setIsRendering(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3 rounded-md border p-3">
+      <button
+        onClick={handleShareImage}
+        disabled={isRendering}
+        className="flex items-center gap-1 text-sm text-blue-500 hover:text-blue-600 disabled:opacity-50"
+      >
+        {isRendering ? <Loader2 className="h-4 w-4 animate-spin" /> : <ImageDown className="h-4 w-4" />}
+        {t('share.image')}
+      </button>
+      <CopyField label={t('share.widgetLink')} value={url} />
+      <CopyField label={t('share.embed')} value={embedCode(url, snapshot.name)} multiline />
+      <div className="text-xs text-gray-500">{t('share.snapshotNote')}</div>
+    </div>
+  );
+};
+
+export default SharePanel;
@@ -1,229 +1,516 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
-import { Input } from './ui/input';
-import { Calendar, Target, Bike, TrendingUp, Edit2, Loader2 } from 'lucide-react'; // Added Loader2
+import { Bike, RefreshCw, History, Plus, AlertTriangle, CloudOff, Wrench, LogOut, ShieldAlert } from 'lucide-react';
 import StravaConnectButton from './StravaConnectButton';
+import GoalCard from './GoalCard';
+import YearComparison from './YearComparison';
+import Breakdown from './Breakdown';
+import ActivityList from './ActivityList';
+import FileImport from './FileImport';
+import ExportMenu from './ExportMenu';
+import ChallengeCard from './ChallengeCard';
+import PacingSettings from './PacingSettings';
+import GearCard from './GearCard';
+import TeamCard from './TeamCard';
+import AchievementsCard from './AchievementsCard';
+import PlannerCard from './PlannerCard';
+import PreferencesMenu from './PreferencesMenu';
+import { usePreferences } from './PreferencesProvider';
 import imgPoweredByStrava from '../assets/api_logo_pwrdBy_strava_horiz_light.svg';
+import { getCachedActivities, saveActivities, clearStravaData, getMeta, setMeta } from '../lib/activityStore';
+import { syncYear, toSyncedYears } from '../lib/sync';
+import { onBackgroundSync } from '../serviceWorkerRegistration';
+import { createGoal, loadGoals, saveGoals, matchesGoal } from '../lib/goals';
+import { createChallenge, loadChallenges, saveChallenges, CHALLENGE_PRESETS } from '../lib/challenges';
+import { activityYear, elapsedDaysInYear } from '../lib/dates';
+import { getMetric } from '../lib/metrics';
+import { loadPacing, savePacing, learnMonthlyWeights, dailyWeights } from '../lib/pacing';
+import { loadSeenAchievements, saveSeenAchievements } from '../lib/achievements';
+import { loadPlanner, savePlanner } from '../lib/planner';
+import { listBikes, loadMaintenance, maintenanceStatus, saveMaintenance } from '../lib/gear';
+import {
+  TEAM_STATE_PREFIX,
+  createTeam,
+  loadTeams,
+  memberFromTokens,
+  athleteTokens,
+  refreshAthleteMember,
+  saveTeams,
+  withMember,
+  withoutAthleteTokens,
+} from '../lib/teams';
+import { importFiles } from '../lib/fileImport';
+import { exchangeAuthorizationCode, refreshTokens, authorizeUrl, deauthorize } from '../lib/stravaAuth';
+import {
+  EMPTY_SESSION,
+  clearSession,
+  loadSession,
+  onSessionChange,
+  refreshDelay,
+  refreshSession,
+  saveSession,
+  scopeProblem,
+  sessionFromTokens,
+} from '../lib/session';
+import { createStravaClient, PartialFetchError, UnauthorizedError } from '../lib/stravaClient';
 
-const CLIENT_ID = process.env.REACT_APP_STRAVA_CLIENT_ID;
-const CLIENT_SECRET = process.env.REACT_APP_STRAVA_CLIENT_SECRET;
 const REDIRECT_URI = process.env.REACT_APP_STRAVA_REDIRECT_URI || 'http://localhost:3000';
-const SCOPE = 'read,activity:read_all';
-const DEFAULT_GOAL = 10000;
+// profile:read_all is only needed for bike names
+const SCOPE = 'read,activity:read_all,profile:read_all';
+// Team members only share their year total
+const TEAM_MEMBER_SCOPE = 'read,activity:read_all';
+const SELECTABLE_YEARS = 10;
+// The current year's numbers count as stale once the last sync is this old
+const STALE_AFTER_MS = 12 * 60 * 60 * 1000;
 
 const StravaTracker = () => {
+  const { t, formatDateTime } = usePreferences();
   const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [totalKm, setTotalKm] = useState(0);
+  const [activities, setActivities] = useState([]);
+  const [isCacheLoaded, setIsCacheLoaded] = useState(false);
+  const [syncedYears, setSyncedYears] = useState({}); // year -> last sync timestamp
+  const [selectedYear, setSelectedYear] = useState(() => new Date().getFullYear());
   const [isLoading, setIsLoading] = useState(false); // New loading state
-  const [accessToken, setAccessToken] = useState(() => {
-    return localStorage.getItem('stravaAccessToken');
-  });
-  const [refreshToken, setRefreshToken] = useState(() => {
-    return localStorage.getItem('stravaRefreshToken');
-  });
-  const [isEditingGoal, setIsEditingGoal] = useState(false);
-  const [yearGoal, setYearGoal] = useState(() => {
-    const savedGoal = localStorage.getItem('cyclingYearGoal');
-    return savedGoal ? parseInt(savedGoal) : DEFAULT_GOAL;
-  });
+  const [session, setSession] = useState(loadSession);
+  const { accessToken } = session;
+  const [goals, setGoals] = useState(() => loadGoals(t('types.Cycling')));
+  const [challenges, setChallenges] = useState(loadChallenges);
+  const [teams, setTeams] = useState(loadTeams);
+  const [seenAchievements, setSeenAchievements] = useState(loadSeenAchievements);
+  const [pacing, setPacing] = useState(loadPacing);
+  const [planner, setPlanner] = useState(loadPlanner);
+  const [bikes, setBikes] = useState([]); // from the athlete's Strava profile
+  const [maintenance, setMaintenance] = useState(loadMaintenance);
+  const [newItemId, setNewItemId] = useState(null);
+  const [syncError, setSyncError] = useState(null);
+  const [loginError, setLoginError] = useState(null);
+  const [rateLimit, setRateLimit] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
 
   const isFetchingActivities = useRef(false);
-
-  const handleLogout = useCallback(() => {
-    setAccessToken(null);
-    setRefreshToken(null);
-    localStorage.removeItem('stravaAccessToken');
-    localStorage.removeItem('stravaRefreshToken');
+  const syncedYearsRef = useRef(syncedYears);
+  syncedYearsRef.current = syncedYears;
+  const accessTokenRef = useRef(accessToken);
+  accessTokenRef.current = accessToken;
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+  const pendingRefresh = useRef(null);
+  const teamsRef = useRef(teams);
+  teamsRef.current = teams;
+
+  const stravaClient = useMemo(() => createStravaClient({
+    getAccessToken: () => accessTokenRef.current,
+    baseUrl: process.env.REACT_APP_STRAVA_API_URL,
+    onRateLimit: setRateLimit,
+  }), []);
+
+  // Forgets the athlete in this tab. Another tab logging out calls this too,
+  // after it has already cleared the stored session and the cache.
+  const endSession = useCallback(({ clearStorage = true } = {}) => {
+    setSession(EMPTY_SESSION);
     setIsAuthenticated(false);
-    setTotalKm(0); // Reset totalKm on logout
-  }, [setAccessToken, setRefreshToken, setIsAuthenticated, setTotalKm]);
-
-  const isCyclingActivity = useCallback((activityType) => {
-    const cyclingTypes = [
-      'Ride',
-      'VirtualRide',
-      'GravelRide',
-      'EBikeRide',
-      'MountainBikeRide',
-      'HandCycle',
-      'Velomobile'
-    ];
-    return cyclingTypes.includes(activityType);
-  }, []);
+    // The Strava cache belongs to the athlete who is logging out; imported files stay
+    setActivities((current) => current.filter((activity) => activity.source === 'file'));
+    setSyncedYears({});
+    setBikes([]);
+    setSyncError(null);
+    // Teammates connected on this device go with the login
+    setTeams(withoutAthleteTokens);
+    if (!clearStorage) return;
+    clearSession();
+    clearStravaData().catch((error) => console.error('Error clearing activity cache:', error));
+  }, [setIsAuthenticated, setActivities]);
+
+  // Revoking is best effort: the local session ends either way
+  const handleLogout = async () => {
+    const tokens = [accessTokenRef.current, ...athleteTokens(teamsRef.current)].filter(Boolean);
+    endSession();
+    await Promise.all(tokens.map((token) => deauthorize(token)
+      .catch((error) => console.error('Error revoking Strava access:', error))));
+  };
 
-  const refreshAccessToken = useCallback(async () => {
-    if (!refreshToken) {
+  // Concurrent callers share one refresh
+  const refreshAccessToken = useCallback(() => {
+    if (pendingRefresh.current) return pendingRefresh.current;
+    if (!sessionRef.current.refreshToken) {
       console.error('No refresh token available. User needs to reauthenticate.');
-      handleLogout();
-      return;
+      endSession();
+      return Promise.resolve();
     }
     setIsLoading(true);
-    try {
-      const response = await fetch('https://www.strava.com/oauth/token', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          client_id: CLIENT_ID,
-          client_secret: CLIENT_SECRET,
-          grant_type: 'refresh_token',
-          refresh_token: refreshToken,
-        }),
+    pendingRefresh.current = refreshSession(sessionRef.current, async (stored) => {
+      const data = await refreshTokens(stored.refreshToken);
+      if (data.access_token && data.refresh_token) return sessionFromTokens(data, stored);
+      console.error('Failed to refresh access token. User needs to reauthenticate.', data.message);
+      return EMPTY_SESSION;
+    })
+      .then((updated) => {
+        if (updated.accessToken) {
+          // fetchActivities will be called by the useEffect hook watching accessToken
+          setSession(updated);
+        } else {
+          endSession();
+        }
+      })
+      .catch((error) => {
+        // Offline or the token service is unreachable: keep the session, the
+        // next sync tries again
+        console.error('Error refreshing access token:', error);
+      })
+      .finally(() => {
+        pendingRefresh.current = null;
+        setIsLoading(false);
       });
+    return pendingRefresh.current;
+  }, [endSession, setIsLoading]);
 
-      const data = await response.json();
-
-      if (data.access_token && data.refresh_token) {
-        setAccessToken(data.access_token);
-        setRefreshToken(data.refresh_token);
-        localStorage.setItem('stravaAccessToken', data.access_token);
-        localStorage.setItem('stravaRefreshToken', data.refresh_token);
-        // fetchActivities will be called by the useEffect hook watching accessToken
-      } else {
-        console.error('Failed to refresh access token. User needs to reauthenticate.');
-        handleLogout();
-      }
+  // Bike names and lifetime distance; without the profile scope there are none.
+  // Only the gear view depends on them, so a failure here is not a sync error.
+  const refreshBikes = useCallback(async () => {
+    try {
+      const athlete = await stravaClient.getAthlete();
+      await setMeta('bikes', athlete.bikes || []);
+      setBikes(athlete.bikes || []);
     } catch (error) {
-      console.error('Error refreshing access token:', error);
-      handleLogout();
-    } finally {
-      setIsLoading(false);
+      console.error('Error fetching bikes:', error);
     }
-  }, [refreshToken, handleLogout, setAccessToken, setRefreshToken, setIsLoading]);
+  }, [stravaClient]);
 
-  const fetchActivities = useCallback(async () => {
+  const fetchActivities = useCallback(async ({ year = new Date().getFullYear(), fullResync = false } = {}) => {
     if (!accessToken || isFetchingActivities.current) return;
+    // Nothing to read without an activity scope; retrying would only loop through refreshes
+    if (scopeProblem(sessionRef.current.scope) === 'none') return;
+    // The refreshed token triggers the sync again
+    if (refreshDelay(sessionRef.current) === 0) {
+      refreshAccessToken();
+      return;
+    }
 
     isFetchingActivities.current = true;
     setIsLoading(true);
 
     try {
-      const startOfYear = new Date(new Date().getFullYear(), 0, 1).getTime() / 1000;
-      let page = 1;
-      let allActivities = [];
-      let hasMoreActivities = true;
-
-      while (hasMoreActivities) {
-        const response = await fetch(
-          `https://www.strava.com/api/v3/athlete/activities?after=${startOfYear}&per_page=200&page=${page}`,
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-            },
-          }
-        );
-
-        if (response.status === 401) {
-          // Access token is invalid or expired, refresh it
-          await refreshAccessToken();
-          // Let useEffect handle retrying fetchActivities if token is successfully refreshed
-          // Reset flag here as this instance of fetchActivities is done.
-          isFetchingActivities.current = false;
-          setIsLoading(false); // Also reset loading state
-          return; // Exit this attempt
-        }
-
-        const activities = await response.json();
-        if (activities.errors && activities.errors.some(err => err.code === 'invalid')) {
-          console.error('Invalid access token. User needs to reauthenticate.');
-          handleLogout();
-          isFetchingActivities.current = false; // Reset the flag
-          return;
-        }
-
-        if (activities.length > 0) {
-          allActivities = allActivities.concat(activities);
-          page++;
-        } else {
-          hasMoreActivities = false;
-        }
-      }
-
-      const totalDistance = allActivities.reduce((sum, activity) => {
-        if (isCyclingActivity(activity.type)) {
-          return sum + activity.distance / 1000;
-        }
-        return sum;
-      }, 0);
-
-      setTotalKm(totalDistance);
+      const updatedSyncedYears = await syncYear(stravaClient, { year, fullResync });
+      setActivities(await getCachedActivities());
+      setSyncedYears(updatedSyncedYears);
+      setSyncError(null);
+      refreshBikes();
     } catch (error) {
+      // A partial fetch still cached what arrived
+      if (error instanceof PartialFetchError) setActivities(await getCachedActivities());
+      if (error instanceof UnauthorizedError) {
+        // Access token is invalid or expired, refresh it.
+        // Let useEffect handle retrying fetchActivities if token is successfully refreshed
+        isFetchingActivities.current = false;
+        await refreshAccessToken();
+        return;
+      }
       console.error('Error fetching activities:', error);
+      // Keep the reset time so the notice can say when syncing works again
+      const { resetAt } = error instanceof PartialFetchError ? error.cause : error;
+      setSyncError({ year, message: error.message, resetAt });
     } finally {
       isFetchingActivities.current = false;
       setIsLoading(false);
     }
-  }, [accessToken, refreshAccessToken, handleLogout, isCyclingActivity, setTotalKm, setIsLoading]);
+  }, [accessToken, stravaClient, refreshAccessToken, refreshBikes, setActivities, setIsLoading]);
 
-  const exchangeToken = useCallback(async (code) => {
+  // `grantedScope` is what the athlete left checked on the consent screen
+  const exchangeToken = useCallback(async (code, grantedScope) => {
     setIsLoading(true);
     try {
-      const response = await fetch('https://www.strava.com/oauth/token', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          client_id: CLIENT_ID,
-          client_secret: CLIENT_SECRET,
-          code,
-          grant_type: 'authorization_code',
-        }),
-      });
-
-      const data = await response.json();
-      setAccessToken(data.access_token);
-      setRefreshToken(data.refresh_token);
-      localStorage.setItem('stravaAccessToken', data.access_token);
-      localStorage.setItem('stravaRefreshToken', data.refresh_token);
+      const data = await exchangeAuthorizationCode(code);
+      // A rejected or reused code still answers with JSON, just without tokens
+      if (!data.access_token || !data.athlete) throw new Error(data.message || 'No access granted');
+      const updated = sessionFromTokens(data, EMPTY_SESSION, grantedScope || data.scope);
+      setSession(updated);
+      saveSession(updated);
+      setLoginError(null);
       setIsAuthenticated(true);
       // fetchActivities will be called by useEffect due to accessToken change
       // No direct call to fetchActivities() here to avoid potential race conditions with isLoading
-
-      // Remove query parameters from the URL
-      const newUrl = window.location.origin + window.location.pathname;
-      window.history.replaceState({}, '', newUrl);
     } catch (error) {
       console.error('Error exchanging token:', error);
+      setLoginError(error.message);
     } finally {
+      // Remove query parameters from the URL; a code can only be exchanged once
+      const newUrl = window.location.origin + window.location.pathname;
+      window.history.replaceState({}, '', newUrl);
       setIsLoading(false);
     }
-  }, [setIsAuthenticated, setAccessToken, setRefreshToken, setIsLoading]);
+  }, [setIsAuthenticated, setIsLoading]);
+
+  const handleTeamMemberChange = useCallback((teamId, member) => {
+    setTeams((current) => current.map((team) => (team.id === teamId ? withMember(team, member) : team)));
+  }, []);
+
+  // The redirect back from connecting a teammate: keep their tokens on the
+  // team and fetch their total right away.
+  const connectTeamMember = useCallback(async (teamId, code) => {
+    const team = teamsRef.current.find((candidate) => candidate.id === teamId);
+    if (!team) return;
+    try {
+      const data = await exchangeAuthorizationCode(code);
+      if (!data.access_token || !data.athlete) throw new Error(data.message || 'No access granted');
+      const member = memberFromTokens(data);
+      handleTeamMemberChange(teamId, member);
+      handleTeamMemberChange(
+        teamId,
+        await refreshAthleteMember(member, team, { baseUrl: process.env.REACT_APP_STRAVA_API_URL })
+      );
+    } catch (error) {
+      console.error('Error connecting team member:', error);
+      if (error.member) handleTeamMemberChange(teamId, error.member);
+    }
+  }, [handleTeamMemberChange]);
 
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search);
+    const state = urlParams.get('state') || '';
     const authCode = urlParams.get('code');
+    if (!authCode || !state.startsWith(TEAM_STATE_PREFIX)) return;
+
+    window.history.replaceState({}, '', window.location.origin + window.location.pathname);
+    connectTeamMember(state.slice(TEAM_STATE_PREFIX.length), authCode);
+  }, [connectTeamMember]);
 
-    if (authCode && !isAuthenticated && !accessToken) {
-      exchangeToken(authCode);
+  useEffect(() => {
+    const urlParams = new URLSearchParams(window.location.search);
+    const authCode = urlParams.get('code');
+    const isTeamGrant = (urlParams.get('state') || '').startsWith(TEAM_STATE_PREFIX);
+
+    // Reconnecting to grant more scope replaces the current session
+    if (authCode && !isTeamGrant) {
+      exchangeToken(authCode, urlParams.get('scope'));
     } else if (accessToken && !isAuthenticated) {
       // If token exists in localStorage but not authenticated yet
       setIsAuthenticated(true); // This will trigger the next condition in the following render
-    } else if (accessToken && isAuthenticated) {
+    } else if (accessToken && isAuthenticated && isCacheLoaded && isOnline) {
       // Only fetch activities if authenticated and token is present
-      // This also runs if accessToken is updated by refreshAccessToken
-      fetchActivities();
+      // This also runs if accessToken is updated by refreshAccessToken,
+      // and when the connection comes back after showing the cached view offline.
+      // Past years cannot change much, so they are only fetched once.
+      const isPastYear = selectedYear < new Date().getFullYear();
+      if (!isPastYear || !syncedYearsRef.current[selectedYear]) {
+        fetchActivities({ year: selectedYear });
+      }
+    }
+  }, [accessToken, isAuthenticated, isCacheLoaded, isOnline, selectedYear, fetchActivities, exchangeToken]);
+
+  const loadFromCache = useCallback(() =>
+    Promise.all([getCachedActivities(), getMeta('lastSyncedAt'), getMeta('bikes')])
+      .then(([cached, syncedAt, cachedBikes]) => {
+        setActivities(cached);
+        setSyncedYears(toSyncedYears(syncedAt));
+        setBikes(cachedBikes || []);
+      })
+      .catch((error) => console.error('Error loading activity cache:', error)), []);
+
+  useEffect(() => {
+    // Show cached activities right away; the sync only has to fetch what is new
+    loadFromCache().finally(() => setIsCacheLoaded(true));
+  }, [loadFromCache]);
+
+  // The service worker refreshes the cache in the background; pick that up
+  useEffect(() => onBackgroundSync(loadFromCache), [loadFromCache]);
+
+  useEffect(() => {
+    const handleConnectivity = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', handleConnectivity);
+    window.addEventListener('offline', handleConnectivity);
+    return () => {
+      window.removeEventListener('online', handleConnectivity);
+      window.removeEventListener('offline', handleConnectivity);
+    };
+  }, []);
+
+  // Refresh ahead of expiry rather than waiting for a 401
+  useEffect(() => {
+    if (!session.accessToken) return undefined;
+    const delay = refreshDelay(session);
+    if (delay === Infinity) return undefined;
+    const timer = setTimeout(refreshAccessToken, delay);
+    return () => clearTimeout(timer);
+  }, [session, refreshAccessToken]);
+
+  // Another tab logged in, refreshed the tokens or logged out
+  useEffect(() => onSessionChange((stored) => {
+    if (stored.accessToken) {
+      setSession(stored);
+    } else if (sessionRef.current.accessToken) {
+      endSession({ clearStorage: false });
     }
-  }, [accessToken, isAuthenticated, fetchActivities, exchangeToken]);
+  }), [endSession]);
+
+  useEffect(() => {
+    // The service worker has no localStorage; it syncs with this copy
+    if (accessToken) {
+      setMeta('accessToken', accessToken).catch((error) => console.error('Error storing access token:', error));
+    }
+  }, [accessToken]);
+
+  const yearActivities = useMemo(
+    () => activities.filter((activity) => activityYear(activity) === selectedYear),
+    [activities, selectedYear]
+  );
+
+  const goalActivities = useMemo(() => goals.reduce((byGoal, goal) => {
+    byGoal[goal.id] = yearActivities.filter((activity) => matchesGoal(activity, goal));
+    return byGoal;
+  }, {}), [yearActivities, goals]);
+
+  const bikeList = useMemo(() => listBikes(bikes, activities), [bikes, activities]);
+
+  const dueMaintenance = useMemo(
+    () => maintenance
+      .filter((item) => maintenanceStatus(item, activities).state === 'due')
+      .map((item) => ({ ...item, bike: bikeList.find((bike) => bike.id === item.gearId) })),
+    [maintenance, activities, bikeList]
+  );
+
+  // The learned model uses every other loaded year, so a past year can be
+  // judged against the seasons around it.
+  const learnedWeights = useMemo(() => {
+    const otherYears = activities.filter((activity) => activityYear(activity) !== selectedYear);
+    return goals.reduce((byGoal, goal) => {
+      byGoal[goal.id] = learnMonthlyWeights(
+        otherYears.filter((activity) => matchesGoal(activity, goal)),
+        getMetric(goal.metric)
+      );
+      return byGoal;
+    }, {});
+  }, [activities, goals, selectedYear]);
+
+  // Teammates' history is not available, so a learned model runs linear here
+  const teamWeights = useMemo(
+    () => teams.reduce((byTeam, team) => {
+      byTeam[team.id] = dailyWeights(team.year, pacing);
+      return byTeam;
+    }, {}),
+    [teams, pacing]
+  );
+
+  const goalWeights = useMemo(
+    () => goals.reduce((byGoal, goal) => {
+      byGoal[goal.id] = dailyWeights(selectedYear, pacing, learnedWeights[goal.id]);
+      return byGoal;
+    }, {}),
+    [goals, selectedYear, pacing, learnedWeights]
+  );
+
+  useEffect(() => {
+    savePacing(pacing);
+  }, [pacing]);
+
+  useEffect(() => {
+    saveMaintenance(maintenance);
+  }, [maintenance]);
 
   useEffect(() => {
-    localStorage.setItem('cyclingYearGoal', yearGoal.toString());
-  }, [yearGoal]);
+    savePlanner(planner);
+  }, [planner]);
 
-  const handleGoalChange = (event) => {
-    const newGoal = parseInt(event.target.value) || 0;
-    setYearGoal(newGoal);
+  useEffect(() => {
+    saveGoals(goals);
+  }, [goals]);
+
+  const handleGoalChange = (updatedGoal) => {
+    setGoals((current) => current.map((goal) => (goal.id === updatedGoal.id ? updatedGoal : goal)));
+  };
+
+  const handleGoalAdd = () => {
+    const goal = createGoal(t('goal.newName'));
+    setGoals((current) => [...current, goal]);
+    setNewItemId(goal.id);
+  };
+
+  const handleGoalRemove = (goalId) => {
+    setGoals((current) => current.filter((goal) => goal.id !== goalId));
+  };
+
+  useEffect(() => {
+    saveChallenges(challenges);
+  }, [challenges]);
+
+  const handleChallengeChange = (updatedChallenge) => {
+    setChallenges((current) =>
+      current.map((challenge) => (challenge.id === updatedChallenge.id ? updatedChallenge : challenge))
+    );
   };
 
-  const handleGoalSubmit = (event) => {
-    event.preventDefault();
-    setIsEditingGoal(false);
+  const handleChallengeAdd = (preset) => {
+    const challenge = preset
+      ? { ...createChallenge(), ...CHALLENGE_PRESETS[preset](new Date().getFullYear()) }
+      : createChallenge(t('challenge.newName'));
+    setChallenges((current) => [...current, challenge]);
+    // Presets are complete; only a blank challenge opens in the editor
+    if (!preset) setNewItemId(challenge.id);
+  };
+
+  const handleChallengeRemove = (challengeId) => {
+    setChallenges((current) => current.filter((challenge) => challenge.id !== challengeId));
+  };
+
+  useEffect(() => {
+    saveTeams(teams);
+  }, [teams]);
+
+  useEffect(() => {
+    saveSeenAchievements(seenAchievements);
+  }, [seenAchievements]);
+
+  const handleAchievementsSeen = useCallback((key, achievementKeys) => {
+    setSeenAchievements((current) => ({ ...current, [key]: achievementKeys }));
+  }, []);
+
+  const handleTeamChange = (updatedTeam) => {
+    setTeams((current) => current.map((team) => (team.id === updatedTeam.id ? updatedTeam : team)));
+  };
+
+  const handleTeamAdd = () => {
+    const team = createTeam(selectedYear, t('team.newName'));
+    setTeams((current) => [...current, team]);
+    setNewItemId(team.id);
+  };
+
+  const handleTeamRemove = (teamId) => {
+    setTeams((current) => current.filter((team) => team.id !== teamId));
+  };
+
+  const handleTeamConnect = (teamId) => {
+    window.location.href = authorizeUrl({
+      redirectUri: REDIRECT_URI,
+      scope: TEAM_MEMBER_SCOPE,
+      state: `${TEAM_STATE_PREFIX}${teamId}`,
+    });
+  };
+
+  const handleImport = async (files) => {
+    setIsImporting(true);
+    try {
+      const result = await importFiles(files);
+      await saveActivities(result.activities);
+      setActivities(await getCachedActivities());
+      setImportResult(result);
+    } catch (error) {
+      console.error('Error importing files:', error);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // One year at a time, like the year selector
+  const handleLoadYears = async (years) => {
+    for (const year of years) {
+      await fetchActivities({ year });
+    }
   };
 
   const handleLogin = () => {
-    const authUrl = `https://www.strava.com/oauth/authorize?client_id=${CLIENT_ID}&redirect_uri=${REDIRECT_URI}&response_type=code&scope=${SCOPE}`;
-    window.location.href = authUrl;
+    setLoginError(null);
+    window.location.href = authorizeUrl({ redirectUri: REDIRECT_URI, scope: SCOPE });
   };
 
 
@@ -232,209 +519,337 @@ const StravaTracker = () => {
     return (
       <Card className="w-full max-w-4xl">
         <CardHeader>
-          <CardTitle>Connecting to Strava...</CardTitle>
+          <CardTitle>{t('app.connecting')}</CardTitle>
         </CardHeader>
         <CardContent>
-          <p>Please wait while we process your authorization.</p>
+          <p>{t('app.connectingDetail')}</p>
           {/* You could add a spinner icon here */}
         </CardContent>
       </Card>
     );
   }
 
-  if (!isAuthenticated) {
+  // Imported files are enough to track progress without a Strava connection
+  const hasImportedActivities = activities.some((activity) => activity.source === 'file');
+
+  if (!isAuthenticated && !isCacheLoaded) return null;
+
+  const loginNotice = loginError && (
+    <div className="flex items-start gap-2 rounded-md border border-red-300 bg-red-50 p-3 text-sm text-red-800">
+      <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+      <div>{t('session.loginFailed', { message: loginError })}</div>
+    </div>
+  );
+
+  const importSummary = importResult && (
+    <div className="text-sm text-gray-600">
+      {t('import.summary', { count: importResult.activities.length })}
+      {importResult.errors.map(({ fileName, message }) => (
+        <div key={fileName} className="text-red-600">{fileName}: {message}</div>
+      ))}
+    </div>
+  );
+
+  if (!isAuthenticated && !hasImportedActivities) {
     return (
       <Card className="w-full max-w-4xl">
         <CardHeader>
-          <CardTitle>Start Tracking</CardTitle>
+          <CardTitle>{t('app.startTracking')}</CardTitle>
         </CardHeader>
-        <CardContent>
+        <CardContent className="space-y-4">
           <StravaConnectButton onClick={handleLogin} /> {/* Use the SVG button */}
+          {loginNotice}
+          <div className="text-sm text-gray-600">{t('app.withoutStrava')}</div>
+          <FileImport onImport={handleImport} isImporting={isImporting} />
+          {importSummary}
+          <PreferencesMenu />
         </CardContent>
       </Card>
     );
   }
 
-  const now = new Date();
-  const startOfYearDate = new Date(now.getFullYear(), 0, 1);
-  const dayOfYear = Math.floor((now - startOfYearDate) / (24 * 60 * 60 * 1000)) + 1;
-  const year = now.getFullYear();
-  const isLeap = new Date(year, 1, 29).getDate() === 29;
-  const daysInYear = isLeap ? 366 : 365;
-  
-  const percentComplete = yearGoal > 0 ? (totalKm / yearGoal) * 100 : 0;
-  const expectedProgress = (dayOfYear / daysInYear) * 100;
-  const expectedDistance = yearGoal > 0 ? (yearGoal / 100) * expectedProgress : 0;
-  const projectedDistance = dayOfYear > 0 ? (totalKm / dayOfYear) * daysInYear : 0;
-  const remainingKm = yearGoal - totalKm;
-  const remainingDays = daysInYear - dayOfYear;
-  const requiredDaily = remainingDays > 0 ? remainingKm / remainingDays : 0;
+  const currentYear = new Date().getFullYear();
+  const yearOptions = Array.from({ length: SELECTABLE_YEARS }, (_, index) => currentYear - index);
+  const activityYears = new Set(activities.map(activityYear));
+  const loadedYears = yearOptions.filter((year) => syncedYears[year] || activityYears.has(year));
+  const lastSyncedAt = syncedYears[selectedYear];
+  const isInitialLoad = isLoading && !lastSyncedAt;
+  const missingScope = scopeProblem(session.scope);
+
+  // Only the current year keeps changing, so only its numbers go stale:
+  // while offline, or when no sync has succeeded for a while.
+  const staleSince = (year) => {
+    const syncedAt = syncedYears[year];
+    if (!isAuthenticated || !syncedAt || year !== currentYear) return null;
+    const isOutdated = Date.now() - new Date(syncedAt).getTime() > STALE_AFTER_MS;
+    return !isOnline || isOutdated ? new Date(syncedAt) : null;
+  };
 
   return (
     <div className="w-full max-w-4xl space-y-4">
       <Card>
         <CardHeader>
           <CardTitle className="flex items-center gap-2 justify-between flex-col md:flex-row">
-            <div class="flex items-center gap-2">
+            <div className="flex items-center gap-2">
               <Bike className="h-6 w-6" />
-              Cycling Challenge Progress Tracker
+              {t('app.title')}
             </div>
-            <img
-              src={imgPoweredByStrava}
-              alt="Connect with Strava"
-              className="h-8 w-auto"
-            />
+            {isAuthenticated && (
+              <img
+                src={imgPoweredByStrava}
+                alt={t('app.poweredByStrava')}
+                className="h-8 w-auto"
+              />
+            )}
           </CardTitle>
         </CardHeader>
-        <CardContent>
-          {isLoading && totalKm === 0 && isAuthenticated ? (
-            <div className="space-y-6">
-              {/* Year Goal section */}
+        <CardContent className="space-y-4">
+          <div className="flex flex-col md:flex-row md:items-center justify-between gap-2 text-sm text-gray-600">
+            <div className="flex items-center gap-2">
+              <select
+                value={selectedYear}
+                onChange={(event) => setSelectedYear(parseInt(event.target.value))}
+                disabled={isLoading}
+                className="h-9 rounded-md border bg-background px-2 text-sm text-gray-900"
+              >
+                {yearOptions.map((year) => (
+                  <option key={year} value={year}>{year}</option>
+                ))}
+              </select>
+              {isAuthenticated && (
+                <>
+                  <History className="h-4 w-4" />
+                  {lastSyncedAt
+                    ? t('sync.lastSynced', { date: formatDateTime(new Date(lastSyncedAt)) })
+                    : t('sync.never')}
+                </>
+              )}
+            </div>
+            {isAuthenticated ? (
               <div className="flex items-center gap-4">
-                <div className="font-medium">Year Goal:</div>
-                <div>{yearGoal} km</div>
+                <button
+                  onClick={() => fetchActivities({ year: selectedYear })}
+                  disabled={isLoading || !isOnline}
+                  className="flex items-center gap-1 text-blue-500 hover:text-blue-600 disabled:opacity-50"
+                >
+                  <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+                  {t('sync.sync')}
+                </button>
+                <button
+                  onClick={() => fetchActivities({ year: selectedYear, fullResync: true })}
+                  disabled={isLoading || !isOnline}
+                  className="text-blue-500 hover:text-blue-600 disabled:opacity-50"
+                  title={t('sync.fullResyncHint')}
+                >
+                  {t('sync.fullResync')}
+                </button>
+                <button
+                  onClick={handleLogout}
+                  className="flex items-center gap-1 text-gray-500 hover:text-gray-700"
+                  title={t('session.logoutHint')}
+                >
+                  <LogOut className="h-4 w-4" />
+                  {t('session.logout')}
+                </button>
               </div>
-
-              {/* Animated Progress Bar section */}
-              <div className="space-y-2">
-                <div className="h-4 w-full bg-gray-200 rounded-full overflow-hidden">
-                  <div
-                    className="h-full bg-gray-400 animate-pulse"
-                    style={{ width: `100%` }}
-                  />
-                </div>
-                <div className="flex justify-between text-sm text-gray-600">
-                  <span>0 km</span>
-                  <span>{yearGoal} km</span>
-                </div>
-              </div>
-              
-              {/* Metrics Grid - Loading State */}
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {/* Progress Metric with Spinner */}
-                <div className="flex items-center gap-2">
-                  <Target className="h-5 w-5 text-blue-500" />
-                  <div>
-                    <div className="font-medium">Progress</div>
-                    <div className="flex items-center gap-1">
-                      <span>Loading...</span>
-                      <Loader2 className="h-4 w-4 animate-spin" />
-                    </div>
-                  </div>
-                </div>
-                
-                {/* Expected Progress - Display actual values */}
-                <div className="flex items-center gap-2">
-                  <Calendar className="h-5 w-5 text-blue-500" />
-                  <div>
-                    <div className="font-medium">Expected Progress</div>
-                    <div>{expectedDistance.toFixed(1)} km ({expectedProgress.toFixed(1)}%)</div>
-                  </div>
-                </div>
-                
-                {/* Projected Year-End - Placeholder */}
-                <div className="flex items-center gap-2">
-                  <TrendingUp className="h-5 w-5 text-blue-500" />
-                  <div>
-                    <div className="font-medium">Projected Year-End</div>
-                    <div>Calculating...</div>
-                  </div>
-                </div>
-                
-                {/* Required Daily - Placeholder */}
-                <div className="flex items-center gap-2">
-                  <Bike className="h-5 w-5 text-blue-500" />
-                  <div>
-                    <div className="font-medium">Required Daily</div>
-                    <div>Calculating...</div>
-                  </div>
-                </div>
+            ) : (
+              <StravaConnectButton onClick={handleLogin} />
+            )}
+          </div>
+          {syncError && syncError.year === selectedYear && (
+            <div className="flex items-start gap-2 rounded-md border border-amber-300 bg-amber-50 p-3 text-sm text-amber-800">
+              <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+              <div>
+                {t('sync.incomplete')}{' '}
+                {syncError.resetAt
+                  ? t('sync.rateLimited', { date: formatDateTime(syncError.resetAt) })
+                  : syncError.message}
               </div>
             </div>
-          ) : (
-            <div className="space-y-6">
-              <div className="flex items-center gap-4">
-                <div className="font-medium">Year Goal:</div>
-                {isEditingGoal ? (
-                  <form onSubmit={handleGoalSubmit} className="flex items-center gap-2">
-                    <Input
-                      type="number"
-                      value={yearGoal}
-                      onChange={handleGoalChange}
-                      className="w-32"
-                      min="1"
-                      required
-                    />
-                    <button
-                      type="submit"
-                      className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600 text-sm"
-                    >
-                      Save
-                    </button>
-                  </form>
-                ) : (
-                  <div className="flex items-center gap-2">
-                    <span>{yearGoal} km</span>
-                    <button
-                      onClick={() => setIsEditingGoal(true)}
-                      className="text-blue-500 hover:text-blue-600"
-                    >
-                      <Edit2 className="h-4 w-4" />
-                    </button>
-                  </div>
-                )}
+          )}
+          {loginNotice}
+          {isAuthenticated && missingScope && (
+            <div className="flex items-start gap-2 rounded-md border border-amber-300 bg-amber-50 p-3 text-sm text-amber-800">
+              <ShieldAlert className="h-4 w-4 mt-0.5 shrink-0" />
+              <div className="space-y-1">
+                <div>{t(`session.scope.${missingScope}`)}</div>
+                <button onClick={handleLogin} className="font-medium underline hover:text-amber-900">
+                  {t('session.reconnect')}
+                </button>
               </div>
-
-              <div className="space-y-2">
-                <div className="h-4 w-full bg-gray-200 rounded-full overflow-hidden">
-                  <div
-                    className="h-full bg-blue-500"
-                    style={{ width: `${Math.min(percentComplete, 100)}%` }}
-                  />
-                </div>
-                <div className="flex justify-between text-sm text-gray-600">
-                  <span>0 km</span>
-                  <span>{yearGoal} km</span>
-                </div>
+            </div>
+          )}
+          {isAuthenticated && (!isOnline || staleSince(selectedYear)) && (
+            <div className="flex items-start gap-2 rounded-md border border-amber-300 bg-amber-50 p-3 text-sm text-amber-800">
+              <CloudOff className="h-4 w-4 mt-0.5 shrink-0" />
+              <div>
+                {!isOnline && !lastSyncedAt
+                  ? t('sync.offlineNever')
+                  : t(isOnline ? 'sync.stale' : 'sync.offline', { date: formatDateTime(new Date(lastSyncedAt)) })}
               </div>
-              
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div className="flex items-center gap-2">
-                  <Target className="h-5 w-5 text-blue-500" />
-                  <div>
-                    <div className="font-medium">Progress</div>
-                    <div>{totalKm.toFixed(1)} km ({percentComplete.toFixed(1)}%)</div>
-                  </div>
-                </div>
-                
-                <div className="flex items-center gap-2">
-                  <Calendar className="h-5 w-5 text-blue-500" />
-                  <div>
-                    <div className="font-medium">Expected Progress</div>
-                    <div>{expectedDistance.toFixed(1)} km ({expectedProgress.toFixed(1)}%)</div>
-                  </div>
-                </div>
-                
-                <div className="flex items-center gap-2">
-                  <TrendingUp className="h-5 w-5 text-blue-500" />
-                  <div>
-                    <div className="font-medium">Projected Year-End</div>
-                    <div>{projectedDistance.toFixed(1)} km</div>
-                  </div>
-                </div>
-                
-                <div className="flex items-center gap-2">
-                  <Bike className="h-5 w-5 text-blue-500" />
-                  <div>
-                    <div className="font-medium">Required Daily</div>
-                    <div>{requiredDaily.toFixed(1)} km/day</div>
+            </div>
+          )}
+          {dueMaintenance.length > 0 && (
+            <div className="flex items-start gap-2 rounded-md border border-red-300 bg-red-50 p-3 text-sm text-red-800">
+              <Wrench className="h-4 w-4 mt-0.5 shrink-0" />
+              <div>
+                {dueMaintenance.map((item) => (
+                  <div key={item.id}>
+                    {t('maintenance.dueWarning', { name: item.name, bike: item.bike ? item.bike.name : item.gearId })}
                   </div>
-                </div>
+                ))}
               </div>
             </div>
           )}
+          {isAuthenticated && rateLimit && (
+            <div className="text-xs text-gray-500">
+              {t('sync.apiUsage', {
+                shortTerm: `${rateLimit.usage.shortTerm}/${rateLimit.limit.shortTerm}`,
+                daily: `${rateLimit.usage.daily}/${rateLimit.limit.daily}`,
+              })}
+            </div>
+          )}
+          <FileImport onImport={handleImport} isImporting={isImporting} />
+          {importSummary}
+          {activities.length > 0 && (
+            <ExportMenu year={selectedYear} goals={goals} goalActivities={goalActivities} goalWeights={goalWeights} />
+          )}
+          <PreferencesMenu />
         </CardContent>
       </Card>
+
+      {goals.map((goal) => (
+        <GoalCard
+          key={goal.id}
+          goal={goal}
+          year={selectedYear}
+          activities={goalActivities[goal.id] || []}
+          yearActivities={yearActivities}
+          weights={goalWeights[goal.id]}
+          isLoading={isInitialLoad}
+          isIncomplete={Boolean(syncError && syncError.year === selectedYear)}
+          staleSince={staleSince(selectedYear)}
+          initiallyEditing={goal.id === newItemId}
+          onChange={handleGoalChange}
+          onRemove={goals.length > 1 ? () => handleGoalRemove(goal.id) : undefined}
+        />
+      ))}
+
+      {challenges.map((challenge) => (
+        <ChallengeCard
+          key={challenge.id}
+          challenge={challenge}
+          activities={activities}
+          isLoading={isInitialLoad}
+          staleSince={staleSince(currentYear)}
+          initiallyEditing={challenge.id === newItemId}
+          onChange={handleChallengeChange}
+          onRemove={() => handleChallengeRemove(challenge.id)}
+        />
+      ))}
+
+      {teams.map((team) => (
+        <TeamCard
+          key={team.id}
+          team={team}
+          activities={activities}
+          weights={teamWeights[team.id]}
+          isLoading={isInitialLoad && team.year === selectedYear}
+          staleSince={staleSince(team.year)}
+          initiallyEditing={team.id === newItemId}
+          onChange={handleTeamChange}
+          onMemberChange={(member) => handleTeamMemberChange(team.id, member)}
+          onConnect={() => handleTeamConnect(team.id)}
+          onRemove={() => handleTeamRemove(team.id)}
+        />
+      ))}
+
+      <div className="flex flex-wrap items-center gap-4">
+        <button
+          onClick={handleGoalAdd}
+          className="flex items-center gap-1 text-blue-500 hover:text-blue-600"
+        >
+          <Plus className="h-4 w-4" />
+          {t('goal.add')}
+        </button>
+        <button
+          onClick={() => handleChallengeAdd()}
+          className="flex items-center gap-1 text-blue-500 hover:text-blue-600"
+        >
+          <Plus className="h-4 w-4" />
+          {t('challenge.add')}
+        </button>
+        <button
+          onClick={handleTeamAdd}
+          className="flex items-center gap-1 text-blue-500 hover:text-blue-600"
+        >
+          <Plus className="h-4 w-4" />
+          {t('team.add')}
+        </button>
+        {Object.keys(CHALLENGE_PRESETS).map((preset) => (
+          <button
+            key={preset}
+            onClick={() => handleChallengeAdd(preset)}
+            className="flex items-center gap-1 text-blue-500 hover:text-blue-600"
+          >
+            <Plus className="h-4 w-4" />
+            {preset}
+          </button>
+        ))}
+      </div>
+
+      <PacingSettings pacing={pacing} onChange={setPacing} goals={goals} learnedWeights={learnedWeights} />
+
+      <Breakdown
+        goals={goals}
+        goalActivities={goalActivities}
+        goalWeights={goalWeights}
+        year={selectedYear}
+        elapsedDays={elapsedDaysInYear(selectedYear)}
+      />
+
+      <ActivityList activities={activities} goals={goals} year={selectedYear} />
+
+      {selectedYear === currentYear && (
+        <PlannerCard
+          goals={goals}
+          goalActivities={goalActivities}
+          year={selectedYear}
+          planner={planner}
+          onChange={setPlanner}
+        />
+      )}
+
+      <AchievementsCard
+        goals={goals}
+        goalActivities={goalActivities}
+        goalWeights={goalWeights}
+        year={selectedYear}
+        elapsedDays={elapsedDaysInYear(selectedYear)}
+        seen={seenAchievements}
+        onSeen={handleAchievementsSeen}
+        isLoading={!isCacheLoaded || isLoading || (isAuthenticated && !lastSyncedAt)}
+      />
+
+      <YearComparison
+        activities={activities}
+        goals={goals}
+        years={loadedYears.includes(currentYear) ? loadedYears : [currentYear, ...loadedYears]}
+        currentYear={currentYear}
+      />
+
+      {(isAuthenticated || bikeList.length > 0) && (
+        <GearCard
+          year={selectedYear}
+          bikes={bikeList}
+          yearActivities={yearActivities}
+          activities={activities}
+          syncedYears={isAuthenticated ? syncedYears : null}
+          items={maintenance}
+          onChange={setMaintenance}
+          onLoadYears={handleLoadYears}
+        />
+      )}
     </div>
   );
 };
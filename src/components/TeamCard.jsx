@@ -0,0 +1,295 @@
+import React, { useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { Input } from './ui/input';
+import { Edit2, Link, Loader2, RefreshCw, Trash2, User, UserPlus, Users } from 'lucide-react';
+import { activityYear } from '../lib/dates';
+import { computeProgress } from '../lib/progress';
+import { memberFromLink, refreshAthleteMember, teamStandings, withMember } from '../lib/teams';
+import ProgressSummary from './ProgressSummary';
+import ActivityTypePicker from './ActivityTypePicker';
+import RulesEditor from './RulesEditor';
+import MetricSelect from './MetricSelect';
+import { usePreferences } from './PreferencesProvider';
+
+const API_URL = process.env.REACT_APP_STRAVA_API_URL;
+const MEMBER_ICONS = { self: User, athlete: Users, snapshot: Link };
+
+const TeamEditor = ({ team, activities, onSave, onCancel }) => {
+  const { t, getMetric } = usePreferences();
+  const [name, setName] = useState(team.name);
+  const [year, setYear] = useState(String(team.year));
+  const [metric, setMetric] = useState(team.metric);
+  const [target, setTarget] = useState(() => getMetric(team.metric).toInput(team.target));
+  const [types, setTypes] = useState(team.types);
+  const [rules, setRules] = useState(team.rules || []);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSave({
+      ...team,
+      name: name.trim() || team.name,
+      year: parseInt(year) || team.year,
+      metric,
+      target: getMetric(metric).fromInput(target, metric === team.metric ? team.target : undefined),
+      types,
+      rules,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <label className="space-y-1 md:col-span-3">
+          <div className="font-medium">{t('common.name')}</div>
+          <Input value={name} onChange={(event) => setName(event.target.value)} required />
+        </label>
+        <label className="space-y-1">
+          <div className="font-medium">{t('team.year')}</div>
+          <Input type="number" value={year} onChange={(event) => setYear(event.target.value)} required />
+        </label>
+        <label className="space-y-1">
+          <div className="font-medium">{t('common.metric')}</div>
+          <MetricSelect value={metric} onChange={setMetric} />
+        </label>
+        <label className="space-y-1">
+          <div className="font-medium">{t('challenge.target')} ({getMetric(metric).unit})</div>
+          <Input type="number" value={target} onChange={(event) => setTarget(event.target.value)} min="1" required />
+        </label>
+      </div>
+
+      <ActivityTypePicker value={types} onChange={setTypes} />
+      <RulesEditor
+        rules={rules}
+        onChange={setRules}
+        types={types}
+        activities={activities.filter((activity) => activityYear(activity) === parseInt(year))}
+      />
+      <div className="text-xs text-gray-500">{t('team.typesNote')}</div>
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={types.length === 0}
+          className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600 text-sm disabled:opacity-50"
+        >
+          {t('common.save')}
+        </button>
+        <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">
+          {t('common.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const SnapshotForm = ({ team, onAdd, onCancel }) => {
+  const { t } = usePreferences();
+  const [name, setName] = useState('');
+  const [link, setLink] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const result = memberFromLink(link, name.trim(), team);
+    if (result.error) {
+      setError(t(`team.linkError.${result.error}`, { year: team.year }));
+    } else {
+      onAdd(result.member);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 rounded-md border p-3">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+        <label className="space-y-1">
+          <div className="font-medium">{t('team.memberName')}</div>
+          <Input value={name} onChange={(event) => setName(event.target.value)} />
+        </label>
+        <label className="space-y-1 md:col-span-2">
+          <div className="font-medium">{t('team.widgetLink')}</div>
+          <Input value={link} onChange={(event) => setLink(event.target.value)} required />
+        </label>
+      </div>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      <div className="flex gap-2">
+        <button type="submit" className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600 text-sm">
+          {t('common.save')}
+        </button>
+        <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">
+          {t('common.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// A shared year goal with combined progress and each member's contribution.
+// `activities` are the local ones, which count for the `self` member.
+const TeamCard = ({
+  team, activities, weights, isLoading, staleSince, onChange, onMemberChange, onConnect, onRemove,
+  initiallyEditing = false,
+}) => {
+  const { t, getMetric, formatPercent, formatDateTime } = usePreferences();
+  const [isEditing, setIsEditing] = useState(initiallyEditing);
+  const [isAddingSnapshot, setIsAddingSnapshot] = useState(false);
+  const [refreshing, setRefreshing] = useState(null);
+  const [memberErrors, setMemberErrors] = useState({});
+  const metric = getMetric(team.metric);
+  const standings = teamStandings(team, activities);
+  const progress = computeProgress({ total: standings.total, target: team.target, year: team.year, weights });
+  // Athletes lose their tokens when this device logs out
+  const athletes = team.members.filter((member) => member.kind === 'athlete' && member.refreshToken);
+
+  const handleSave = (updatedTeam) => {
+    onChange(updatedTeam);
+    setIsEditing(false);
+  };
+
+  // One athlete at a time keeps within the API rate limit
+  const handleRefresh = async () => {
+    const errors = {};
+    for (const member of athletes) {
+      setRefreshing(member.id);
+      try {
+        onMemberChange(await refreshAthleteMember(member, team, { baseUrl: API_URL }));
+      } catch (error) {
+        console.error(`Error refreshing ${member.name}:`, error);
+        if (error.member) onMemberChange(error.member);
+        errors[member.id] = error.message;
+      }
+    }
+    setMemberErrors(errors);
+    setRefreshing(null);
+  };
+
+  const removeMember = (memberId) => {
+    onChange({ ...team, members: team.members.filter((member) => member.id !== memberId) });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2 text-xl">
+          <div className="flex items-center gap-2">
+            <Users className="h-5 w-5" />
+            {team.name}
+          </div>
+          {!isEditing && (
+            <div className="flex items-center gap-2">
+              {athletes.length > 0 && (
+                <button
+                  onClick={handleRefresh}
+                  disabled={Boolean(refreshing)}
+                  className="text-blue-500 hover:text-blue-600 disabled:opacity-50"
+                  title={t('team.refresh')}
+                >
+                  <RefreshCw className={`h-4 w-4 ${refreshing ? 'animate-spin' : ''}`} />
+                </button>
+              )}
+              <button onClick={() => setIsEditing(true)} className="text-blue-500 hover:text-blue-600" title={t('team.edit')}>
+                <Edit2 className="h-4 w-4" />
+              </button>
+              <button onClick={onRemove} className="text-gray-400 hover:text-red-500" title={t('team.remove')}>
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+        </CardTitle>
+        {!isEditing && (
+          <div className="text-sm text-gray-600">
+            {t('goal.yearGoal', { year: team.year })}: {metric.format(team.target)} · {team.types.join(', ')}
+          </div>
+        )}
+      </CardHeader>
+      <CardContent>
+        {isEditing ? (
+          <TeamEditor team={team} activities={activities} onSave={handleSave} onCancel={() => setIsEditing(false)} />
+        ) : (
+          <div className="space-y-6">
+            <ProgressSummary
+              metric={metric}
+              total={standings.total}
+              target={team.target}
+              progress={progress}
+              projectedLabel={t('goal.projected')}
+              isLoading={isLoading}
+              staleSince={staleSince}
+            />
+
+            <div className="space-y-3">
+              <div className="font-medium">{t('team.leaderboard')}</div>
+              {standings.members.map((member, index) => {
+                const Icon = MEMBER_ICONS[member.kind];
+                return (
+                  <div key={member.id} className="space-y-1 text-sm">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="flex items-center gap-2">
+                        <span className="w-5 text-right text-gray-500">{index + 1}.</span>
+                        <Icon className="h-4 w-4 text-gray-500" />
+                        {member.kind === 'self' ? t('team.you') : member.name}
+                        {refreshing === member.id && <Loader2 className="h-3 w-3 animate-spin" />}
+                      </span>
+                      <span className="flex items-center gap-2">
+                        <span className="tabular-nums">
+                          {metric.format(member.total)} ({formatPercent(member.share * 100)})
+                        </span>
+                        {member.kind !== 'self' && (
+                          <button
+                            onClick={() => removeMember(member.id)}
+                            className="text-gray-400 hover:text-red-500"
+                            title={t('team.removeMember')}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
+                      </span>
+                    </div>
+                    <div className="h-2 w-full bg-gray-200 rounded-full overflow-hidden">
+                      <div className="h-full bg-blue-500" style={{ width: `${member.share * 100}%` }} />
+                    </div>
+                    {member.kind !== 'self' && (
+                      <div className="text-xs text-gray-500">
+                        {member.updatedAt
+                          ? t('progress.asOf', { date: formatDateTime(new Date(member.updatedAt)) })
+                          : t('sync.never')}
+                        {member.kind === 'athlete' && !member.refreshToken && ` · ${t('team.disconnected')}`}
+                        {memberErrors[member.id] && <span className="text-red-600"> · {memberErrors[member.id]}</span>}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {isAddingSnapshot ? (
+              <SnapshotForm
+                team={team}
+                onAdd={(member) => {
+                  onChange(withMember(team, member));
+                  setIsAddingSnapshot(false);
+                }}
+                onCancel={() => setIsAddingSnapshot(false)}
+              />
+            ) : (
+              <div className="flex flex-wrap gap-4 text-sm">
+                <button onClick={onConnect} className="flex items-center gap-1 text-blue-500 hover:text-blue-600">
+                  <UserPlus className="h-4 w-4" />
+                  {t('team.connectAthlete')}
+                </button>
+                <button
+                  onClick={() => setIsAddingSnapshot(true)}
+                  className="flex items-center gap-1 text-blue-500 hover:text-blue-600"
+                >
+                  <Link className="h-4 w-4" />
+                  {t('team.addSnapshot')}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TeamCard;
@@ -0,0 +1,101 @@
+import React, { useMemo, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { BarChart3 } from 'lucide-react';
+import { matchesGoal } from '../lib/goals';
+import { activityDate, activityYear, isOnOrBeforeMonthDay } from '../lib/dates';
+import { usePreferences } from './PreferencesProvider';
+
+// Compares each loaded year's cumulative total up to today's date.
+const YearComparison = ({ activities, goals, years, currentYear }) => {
+  const { t, getMetric, formatDate } = usePreferences();
+  const [goalId, setGoalId] = useState(goals[0].id);
+  const goal = goals.find((g) => g.id === goalId) || goals[0];
+  const metric = getMetric(goal.metric);
+  // Midnight, so the memo below only recomputes when the day changes
+  const todayTime = new Date().setHours(0, 0, 0, 0);
+  const today = useMemo(() => new Date(todayTime), [todayTime]);
+
+  const rows = useMemo(() => {
+    const totals = years.reduce((acc, year) => {
+      acc[year] = { year, toDate: 0, fullYear: 0 };
+      return acc;
+    }, {});
+    activities.forEach((activity) => {
+      const row = totals[activityYear(activity)];
+      if (!row || !matchesGoal(activity, goal)) return;
+      const value = metric.value(activity);
+      row.fullYear += value;
+      if (isOnOrBeforeMonthDay(activityDate(activity), today)) row.toDate += value;
+    });
+    return years.map((year) => totals[year]);
+  }, [activities, goal, metric, years, today]);
+
+  const current = rows.find((row) => row.year === currentYear);
+  const max = Math.max(...rows.map((row) => row.toDate), 1);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2 text-xl">
+          <div className="flex items-center gap-2">
+            <BarChart3 className="h-5 w-5" />
+            {t('comparison.title')}
+          </div>
+          {goals.length > 1 && (
+            <select
+              value={goal.id}
+              onChange={(event) => setGoalId(event.target.value)}
+              className="h-9 rounded-md border bg-background px-2 text-sm font-normal"
+            >
+              {goals.map((g) => (
+                <option key={g.id} value={g.id}>{g.name}</option>
+              ))}
+            </select>
+          )}
+        </CardTitle>
+        <div className="text-sm text-gray-600">
+          {t('comparison.subtitle', { metric: metric.label, date: formatDate(today, { month: 'long', day: 'numeric' }) })}
+        </div>
+      </CardHeader>
+      <CardContent>
+        {rows.length < 2 ? (
+          <p className="text-sm text-gray-600">
+            {t('comparison.empty')}
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {rows.map((row) => {
+              const diff = current ? current.toDate - row.toDate : 0;
+              return (
+                <div key={row.year} className="space-y-1">
+                  <div className="flex justify-between text-sm">
+                    <span className="font-medium">{row.year}</span>
+                    <span>
+                      {metric.format(row.toDate)}
+                      {row.year !== currentYear && current && (
+                        <span className={diff >= 0 ? 'text-green-600 ml-2' : 'text-red-600 ml-2'}>
+                          {t('comparison.thisYear', { value: `${diff >= 0 ? '+' : '−'}${metric.format(Math.abs(diff))}` })}
+                        </span>
+                      )}
+                      {row.year < currentYear && (
+                        <span className="text-gray-500 ml-2">{t('comparison.fullYear', { value: metric.format(row.fullYear) })}</span>
+                      )}
+                    </span>
+                  </div>
+                  <div className="h-2 w-full bg-gray-200 rounded-full overflow-hidden">
+                    <div
+                      className={row.year === currentYear ? 'h-full bg-blue-500' : 'h-full bg-gray-400'}
+                      style={{ width: `${(row.toDate / max) * 100}%` }}
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default YearComparison;
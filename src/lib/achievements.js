@@ -0,0 +1,132 @@
+// Streaks, milestones and records for one goal in one year. Each earned
+// achievement has a stable `key`, so the tracker can tell which ones are new
+// since the athlete last looked.
+
+import { bucketByDay, dateOfDay, weeksOfYear } from './series';
+
+const STORAGE_KEY = 'achievements';
+
+export const DAY_STREAKS = [3, 7, 14, 30, 100];
+export const WEEK_STREAKS = [4, 8, 12, 26, 52];
+export const GOAL_SHARES = [25, 50, 75, 100];
+
+// Year totals worth celebrating, in display units so imperial athletes get
+// round miles and feet too.
+export const TOTAL_MILESTONES = {
+  distance: [500, 1000, 2500, 5000, 10000, 20000],
+  elevation: [10000, 25000, 50000, 100000, 250000],
+  movingTime: [50, 100, 250, 500, 1000],
+  elapsedTime: [50, 100, 250, 500, 1000],
+  count: [50, 100, 200, 365],
+};
+
+// Length of the run ending at each index, over a list of booleans.
+const runLengths = (flags) => {
+  let run = 0;
+  return flags.map((flag) => (run = flag ? run + 1 : 0));
+};
+
+// Index where a run first reaches each length in `lengths`.
+const firstReached = (runs, lengths) => lengths
+  .map((length) => ({ length, index: runs.indexOf(length) }))
+  .filter(({ index }) => index >= 0);
+
+// `weights` are the pacing model's daily weights; a week meets its target when
+// it carries at least its share of `target`. Only the first `elapsedDays` days
+// count; today and the current week can extend a streak but not break it.
+export const computeAchievements = ({ activities, year, target, weights, metric, elapsedDays }) => {
+  const days = bucketByDay(activities, year).slice(0, elapsedDays);
+  const daily = days.map((dayActivities) => dayActivities.reduce((sum, a) => sum + metric.value(a), 0));
+  const achievements = [];
+
+  // Day streaks
+  const dayRuns = runLengths(days.map((dayActivities) => dayActivities.length > 0));
+  const lastDay = dayRuns.length - 1;
+  const dayStreak = {
+    current: dayRuns[lastDay] || dayRuns[lastDay - 1] || 0,
+    longest: Math.max(0, ...dayRuns),
+  };
+  firstReached(dayRuns, DAY_STREAKS).forEach(({ length, index }) => {
+    achievements.push({ key: `dayStreak:${length}`, kind: 'dayStreak', value: length, earnedOn: dateOfDay(year, index) });
+  });
+
+  // Week streaks against the paced weekly target
+  const weeks = weeksOfYear(year)
+    .filter(({ dayIndexes }) => dayIndexes[0] < elapsedDays)
+    .map(({ start, dayIndexes }) => {
+      const value = dayIndexes.reduce((sum, dayIndex) => sum + (daily[dayIndex] || 0), 0);
+      const weekTarget = target * dayIndexes.reduce((sum, dayIndex) => sum + weights[dayIndex], 0);
+      return { start, dayIndexes, value, isMet: weekTarget > 0 && value >= weekTarget };
+    });
+  const weekRuns = runLengths(weeks.map((week) => week.isMet));
+  const lastWeek = weekRuns.length - 1;
+  const weekStreak = {
+    current: weekRuns[lastWeek] || weekRuns[lastWeek - 1] || 0,
+    longest: Math.max(0, ...weekRuns),
+  };
+  const weekEnd = (week) => dateOfDay(year, Math.min(week.dayIndexes[week.dayIndexes.length - 1], elapsedDays - 1));
+  firstReached(weekRuns, WEEK_STREAKS).forEach(({ length, index }) => {
+    achievements.push({ key: `weekStreak:${length}`, kind: 'weekStreak', value: length, earnedOn: weekEnd(weeks[index]) });
+  });
+
+  // Year total and goal share milestones, on the day they were crossed
+  let sum = 0;
+  const cumulative = daily.map((value) => (sum += value));
+  const crossedOn = (threshold) => {
+    const index = cumulative.findIndex((total) => total >= threshold);
+    return index >= 0 ? dateOfDay(year, index) : null;
+  };
+  (TOTAL_MILESTONES[metric.key] || []).forEach((displayed) => {
+    const threshold = displayed / metric.toDisplay(1);
+    const earnedOn = crossedOn(threshold);
+    if (earnedOn) achievements.push({ key: `total:${Math.round(threshold)}`, kind: 'total', value: threshold, earnedOn });
+  });
+  if (target > 0) {
+    GOAL_SHARES.forEach((share) => {
+      const earnedOn = crossedOn((target * share) / 100);
+      if (earnedOn) achievements.push({ key: `goalShare:${share}`, kind: 'goalShare', value: share, earnedOn });
+    });
+  }
+
+  // Records; a new record gets a new key
+  const longest = days.flat().reduce(
+    (best, activity) => (!best || metric.value(activity) > metric.value(best) ? activity : best),
+    null
+  );
+  if (longest && metric.value(longest) > 0) {
+    achievements.push({
+      key: `longest:${longest.id}`,
+      kind: 'longest',
+      value: metric.value(longest),
+      earnedOn: dateOfDay(year, days.findIndex((dayActivities) => dayActivities.includes(longest))),
+      activity: longest,
+    });
+  }
+  const biggestWeek = weeks.reduce((best, week) => (!best || week.value > best.value ? week : best), null);
+  if (biggestWeek && biggestWeek.value > 0) {
+    achievements.push({
+      key: `biggestWeek:${biggestWeek.start.getTime()}`,
+      kind: 'biggestWeek',
+      value: biggestWeek.value,
+      earnedOn: weekEnd(biggestWeek),
+      weekStart: biggestWeek.start,
+    });
+  }
+
+  achievements.sort((a, b) => b.earnedOn - a.earnedOn);
+  return { dayStreak, weekStreak, achievements };
+};
+
+// Keys the athlete has already seen, per `goalId:year`.
+export const loadSeenAchievements = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error('Error reading seen achievements:', error);
+    return {};
+  }
+};
+
+export const saveSeenAchievements = (seen) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(seen));
+};
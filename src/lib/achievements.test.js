@@ -0,0 +1,41 @@
+import { computeAchievements } from './achievements';
+import { getMetric } from './metrics';
+import { daysInYear } from './dates';
+
+const ride = (id, date, km) => ({ id, name: `Ride ${id}`, start_date: `${date}T12:00:00`, distance: km * 1000 });
+const year = 2024;
+const weights = Array.from({ length: daysInYear(year) }, () => 1 / daysInYear(year));
+
+// 1-3 Jan and 5-8 Jan 2024; Monday 1 Jan starts the first week
+const activities = [
+  ride(1, '2024-01-01', 100),
+  ride(2, '2024-01-02', 150),
+  ride(3, '2024-01-03', 300),
+  ride(4, '2024-01-05', 200),
+  ride(5, '2024-01-06', 100),
+  ride(6, '2024-01-07', 100),
+  ride(7, '2024-01-08', 100),
+];
+
+const compute = (target, elapsedDays = 8) =>
+  computeAchievements({ activities, year, target, weights, metric: getMetric('distance'), elapsedDays });
+
+test('tracks the current and longest streak of riding days', () => {
+  const { dayStreak, achievements } = compute(5000);
+  expect(dayStreak).toEqual({ current: 4, longest: 4 });
+  expect(achievements.find((a) => a.key === 'dayStreak:3').earnedOn).toEqual(new Date(2024, 0, 3));
+});
+
+test('records milestones on the day they were crossed, and the records', () => {
+  const keys = compute(2000).achievements.map((a) => a.key);
+  expect(keys).toEqual(expect.arrayContaining(['total:500', 'total:1000', 'goalShare:25', 'goalShare:50', 'longest:3']));
+  expect(keys).not.toContain('goalShare:75');
+  const biggestWeek = compute(2000).achievements.find((a) => a.kind === 'biggestWeek');
+  expect(biggestWeek.value).toBe(950);
+  expect(compute(2000).achievements.find((a) => a.key === 'total:500').earnedOn).toEqual(new Date(2024, 0, 3));
+});
+
+test('counts weeks that carry their share of the target', () => {
+  expect(compute(36600).weekStreak).toEqual({ current: 1, longest: 1 });
+  expect(compute(100000).weekStreak).toEqual({ current: 0, longest: 0 });
+});
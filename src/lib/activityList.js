@@ -0,0 +1,108 @@
+// The individual activities behind the totals: filtering, sorting and links
+// for the activity list, and ride-level statistics per week or month.
+
+import { activityDate, dayOfYear, daysBetween } from './dates';
+import { ACTIVITY_TYPE_GROUPS, matchesGoal } from './goals';
+import { bucketByDay, dateOfDay, monthsOfYear, weeksOfYear } from './series';
+
+// Rolling distance covers this many days up to the end of each period
+export const ROLLING_DAYS = 28;
+
+export const activityType = (activity) => activity.sport_type || activity.type;
+
+// Average moving speed in km/h, null without a moving time
+export const averageSpeed = (activity) =>
+  activity.moving_time > 0 ? (activity.distance || 0) / 1000 / (activity.moving_time / 3600) : null;
+
+// Imported files only live in the browser
+export const activityUrl = (activity) =>
+  activity.source === 'file' ? null : `https://www.strava.com/activities/${activity.id}`;
+
+const SORT_VALUES = {
+  date: (activity) => activityDate(activity).getTime(),
+  name: (activity) => (activity.name || '').toLowerCase(),
+  type: activityType,
+  distance: (activity) => activity.distance || 0,
+  movingTime: (activity) => activity.moving_time || 0,
+  elevation: (activity) => activity.total_elevation_gain || 0,
+  speed: (activity) => averageSpeed(activity) || 0,
+};
+
+export const SORT_KEYS = Object.keys(SORT_VALUES);
+
+export const activityTypes = (activities) => [...new Set(activities.map(activityType))].sort();
+
+// `query` searches the name, `type` is a Strava type, `month` 0-11 and `goal`
+// keeps what that goal counts; empty filters keep everything.
+export const filterActivities = (activities, { query = '', type = '', month = '', goal = null } = {}) => {
+  const search = query.trim().toLowerCase();
+  return activities.filter((activity) =>
+    (!search || (activity.name || '').toLowerCase().includes(search))
+    && (!type || activityType(activity) === type)
+    && (month === '' || activityDate(activity).getMonth() === Number(month))
+    && (!goal || matchesGoal(activity, goal)));
+};
+
+// Speeds and climbing only compare within a sport, so without a type or goal
+// filter the analytics stick to rides rather than averaging in runs and swims.
+export const analyticsActivities = (activities, { type = '', goal = null } = {}) =>
+  type || goal
+    ? filterActivities(activities, { type, goal })
+    : activities.filter((activity) => ACTIVITY_TYPE_GROUPS.Cycling.includes(activityType(activity)));
+
+export const sortActivities = (activities, { key = 'date', direction = 'desc' } = {}) => {
+  const value = SORT_VALUES[key] || SORT_VALUES.date;
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...activities].sort((a, b) => {
+    const [first, second] = [value(a), value(b)];
+    if (first === second) return 0;
+    return (first < second ? -1 : 1) * sign;
+  });
+};
+
+// Totals and averages in base units (km, hours, m). Averages are null when
+// there is nothing to average over.
+export const periodStats = (activities) => {
+  const distance = activities.reduce((sum, activity) => sum + (activity.distance || 0) / 1000, 0);
+  const movingTime = activities.reduce((sum, activity) => sum + (activity.moving_time || 0) / 3600, 0);
+  const elevation = activities.reduce((sum, activity) => sum + (activity.total_elevation_gain || 0), 0);
+  return {
+    count: activities.length,
+    distance,
+    movingTime,
+    elevation,
+    averageSpeed: movingTime > 0 ? distance / movingTime : null,
+    averageDistance: activities.length > 0 ? distance / activities.length : null,
+    elevationPerKm: distance > 0 ? elevation / distance : null,
+  };
+};
+
+// Distance in km over the `days` days ending on `end`, that day included.
+export const rollingDistance = (activities, end, days = ROLLING_DAYS) =>
+  activities.reduce((sum, activity) => {
+    const age = daysBetween(activityDate(activity), end);
+    return age >= 0 && age < days ? sum + (activity.distance || 0) / 1000 : sum;
+  }, 0);
+
+// One entry per week or month of `year` that has started by `now`, with its
+// stats and the rolling distance up to its last day, or up to today for the
+// current period. `activities` may reach into the previous year, which the
+// rolling distance of early January needs.
+export const periodAnalytics = (activities, year, period = 'month', now = new Date()) => {
+  const periods = period === 'week' ? weeksOfYear(year) : monthsOfYear(year);
+  const days = bucketByDay(activities, year);
+  const lastDay = year === now.getFullYear()
+    ? dayOfYear(now) - 1
+    : year < now.getFullYear() ? days.length - 1 : -1;
+
+  return periods
+    .filter(({ dayIndexes }) => dayIndexes[0] <= lastDay)
+    .map(({ start, dayIndexes }) => {
+      const end = Math.min(dayIndexes[dayIndexes.length - 1], lastDay);
+      return {
+        start,
+        ...periodStats(dayIndexes.flatMap((dayIndex) => days[dayIndex])),
+        rolling: rollingDistance(activities, dateOfDay(year, end)),
+      };
+    });
+};
@@ -0,0 +1,92 @@
+import {
+  activityUrl,
+  analyticsActivities,
+  filterActivities,
+  periodAnalytics,
+  periodStats,
+  rollingDistance,
+  sortActivities,
+} from './activityList';
+
+const ride = (id, date, { distance = 20000, time = 3600, elevation = 100, ...rest } = {}) => ({
+  id,
+  name: `Ride ${id}`,
+  type: 'Ride',
+  sport_type: 'Ride',
+  start_date: `${date}T08:00:00Z`,
+  start_date_local: `${date}T09:00:00Z`,
+  distance,
+  moving_time: time,
+  total_elevation_gain: elevation,
+  ...rest,
+});
+
+const activities = [
+  ride(1, '2023-12-20', { distance: 30000 }),
+  ride(2, '2024-01-05', { name: 'Morning Commute', commute: true }),
+  ride(3, '2024-01-20', { distance: 60000, time: 7200, elevation: 600 }),
+  ride(4, '2024-02-03', { sport_type: 'GravelRide', distance: 40000, time: 5400 }),
+  ride(5, '2024-02-10', { type: 'Run', sport_type: 'Run', distance: 10000 }),
+];
+
+test('searches names and filters by type, month and goal', () => {
+  const ids = (filters) => filterActivities(activities, filters).map((activity) => activity.id);
+  expect(ids({ query: 'commute' })).toEqual([2]);
+  expect(ids({ type: 'GravelRide' })).toEqual([4]);
+  expect(ids({ month: '1' })).toEqual([4, 5]);
+  expect(ids({ goal: { types: ['Ride', 'GravelRide'], rules: [{ kind: 'commute', action: 'exclude' }] } }))
+    .toEqual([1, 3, 4]);
+});
+
+test('sorts by any column in either direction', () => {
+  const ids = (sort) => sortActivities(activities, sort).map((activity) => activity.id);
+  expect(ids()).toEqual([5, 4, 3, 2, 1]);
+  expect(ids({ key: 'distance', direction: 'desc' })).toEqual([3, 4, 1, 2, 5]);
+  expect(ids({ key: 'speed', direction: 'asc' })).toEqual([5, 2, 4, 1, 3]);
+});
+
+test('links Strava activities but not imported files', () => {
+  expect(activityUrl(activities[0])).toBe('https://www.strava.com/activities/1');
+  expect(activityUrl({ id: 'file-1', source: 'file' })).toBeNull();
+});
+
+test('averages speed, length and climbing over a period', () => {
+  expect(periodStats(activities.slice(1, 3))).toEqual({
+    count: 2,
+    distance: 80,
+    movingTime: 3,
+    elevation: 700,
+    averageSpeed: 80 / 3,
+    averageDistance: 40,
+    elevationPerKm: 700 / 80,
+  });
+  expect(periodStats([])).toMatchObject({ averageSpeed: null, averageDistance: null, elevationPerKm: null });
+});
+
+test('rolls the distance over the last four weeks into the previous year', () => {
+  expect(rollingDistance(activities, new Date(2024, 0, 16))).toBe(50);
+  expect(rollingDistance(activities, new Date(2024, 0, 17))).toBe(20);
+});
+
+test('analyses the started periods of the year', () => {
+  const months = periodAnalytics(activities, 2024, 'month', new Date(2024, 1, 15));
+  expect(months).toHaveLength(2);
+  expect(months[0]).toMatchObject({ count: 2, distance: 80, rolling: 80 });
+  // Up to today in the running month
+  expect(months[1]).toMatchObject({ count: 2, distance: 50, rolling: 110 });
+  expect(periodAnalytics(activities, 2023, 'week', new Date(2024, 1, 15))).toHaveLength(53);
+  expect(periodAnalytics(activities, 2025, 'week', new Date(2024, 1, 15))).toEqual([]);
+});
+
+test('analyses rides unless a type or goal picks other sports', () => {
+  const mixed = [
+    ...activities,
+    ride(6, '2024-02-11', { type: 'Swim', sport_type: 'Swim', distance: 2000, time: 3600, elevation: 0 }),
+    ride(7, '2024-02-12', { type: 'Ride', sport_type: 'VirtualRide' }),
+  ];
+  const ids = (filters) => analyticsActivities(mixed, filters).map((activity) => activity.id);
+  expect(ids()).toEqual([1, 2, 3, 4, 7]);
+  expect(ids({ type: 'Run' })).toEqual([5]);
+  expect(ids({ goal: { types: ['Run', 'Swim'], rules: [] } })).toEqual([5, 6]);
+  expect(periodStats(analyticsActivities(mixed)).averageSpeed).toBe(170 / 6.5);
+});
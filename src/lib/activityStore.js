@@ -0,0 +1,94 @@
+// Persists fetched and imported activities in IndexedDB so later loads only
+// need to ask Strava for what happened since the last sync.
+
+const DB_NAME = 'progressTracker';
+const DB_VERSION = 1;
+const ACTIVITIES = 'activities';
+const META = 'meta';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ACTIVITIES)) {
+          const store = db.createObjectStore(ACTIVITIES, { keyPath: 'id' });
+          store.createIndex('start_date', 'start_date');
+        }
+        if (!db.objectStoreNames.contains(META)) {
+          db.createObjectStore(META);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const result = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const getCachedActivities = () =>
+  run(ACTIVITIES, 'readonly', (store) => store.getAll());
+
+export const saveActivities = (activities) =>
+  run(ACTIVITIES, 'readwrite', (store) => {
+    activities.forEach((activity) => store.put(activity));
+  });
+
+// Imported files have no upstream copy to resync from, so only activities
+// that came from Strava are ever dropped from the cache.
+const isFromStrava = (activity) => activity.source !== 'file';
+
+const deleteStravaActivities = (store, range) => {
+  store.index('start_date').openCursor(range).onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (cursor) {
+      if (isFromStrava(cursor.value)) cursor.delete();
+      cursor.continue();
+    }
+  };
+};
+
+// Removes Strava activities whose start_date lies in [from, to), both ISO strings.
+export const deleteActivitiesBetween = (from, to) =>
+  run(ACTIVITIES, 'readwrite', (store) => {
+    deleteStravaActivities(store, IDBKeyRange.bound(from, to, false, true));
+  });
+
+export const clearStravaActivities = () =>
+  run(ACTIVITIES, 'readwrite', (store) => deleteStravaActivities(store, null));
+
+export const getMeta = (key) =>
+  run(META, 'readonly', (store) => store.get(key));
+
+export const setMeta = (key, value) =>
+  run(META, 'readwrite', (store) => store.put(value, key));
+
+// Forgets everything synced from Strava, keeping imported files.
+export const clearStravaData = async () => {
+  await clearStravaActivities();
+  await run(META, 'readwrite', (store) => store.clear());
+};
+
+// Latest start_date in the cache as epoch seconds, for Strava's `after` parameter.
+export const latestStartEpoch = (activities) =>
+  activities.reduce((latest, activity) => {
+    const start = Math.floor(new Date(activity.start_date).getTime() / 1000);
+    return start > latest ? start : latest;
+  }, 0);
@@ -0,0 +1,63 @@
+// Named challenges over their own date range, such as "1,000 km in May",
+// tracked alongside the year goals. `start` and `end` are inclusive
+// 'YYYY-MM-DD' dates.
+
+import { ACTIVITY_TYPE_GROUPS, matchesGoal } from './goals';
+import { DEFAULT_METRIC } from './metrics';
+import { activityDate, formatDateInput, parseDate } from './dates';
+
+const STORAGE_KEY = 'challenges';
+
+export const createChallenge = (name = 'New Challenge', now = new Date()) => ({
+  id: `challenge-${Date.now()}`,
+  name,
+  start: formatDateInput(new Date(now.getFullYear(), now.getMonth(), 1)),
+  end: formatDateInput(new Date(now.getFullYear(), now.getMonth() + 1, 0)),
+  types: ACTIVITY_TYPE_GROUPS.Cycling,
+  metric: DEFAULT_METRIC,
+  target: 1000,
+});
+
+export const CHALLENGE_PRESETS = {
+  'Festive 500': (year) => ({
+    name: 'Festive 500',
+    start: `${year}-12-24`,
+    end: `${year}-12-31`,
+    types: ACTIVITY_TYPE_GROUPS.Cycling,
+    metric: DEFAULT_METRIC,
+    target: 500,
+  }),
+};
+
+export const challengeRange = (challenge) => {
+  const start = parseDate(challenge.start);
+  const end = parseDate(challenge.end);
+  // Through the end of the last day
+  return { start, end, endExclusive: new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1) };
+};
+
+// Every activity in the challenge's date range, whether it counts or not.
+export const activitiesInRange = (activities, challenge) => {
+  const { start, endExclusive } = challengeRange(challenge);
+  return activities.filter((activity) => {
+    const date = activityDate(activity);
+    return date >= start && date < endExclusive;
+  });
+};
+
+export const challengeActivities = (activities, challenge) =>
+  activitiesInRange(activities, challenge).filter((activity) => matchesGoal(activity, challenge));
+
+export const loadChallenges = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error('Error reading saved challenges:', error);
+    return [];
+  }
+};
+
+export const saveChallenges = (challenges) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(challenges));
+};
@@ -0,0 +1,65 @@
+// Calendar helpers shared by the progress views.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const isLeapYear = (year) => new Date(year, 1, 29).getDate() === 29;
+
+export const daysInYear = (year) => (isLeapYear(year) ? 366 : 365);
+
+// Days since the epoch of the calendar day `date` falls on. Differences of
+// these are whole days even across a DST change, unlike local midnights.
+const calendarDay = (date) => Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS;
+
+export const dayOfYear = (date) => calendarDay(date) - calendarDay(new Date(date.getFullYear(), 0, 1)) + 1;
+
+// Whether `date` falls on or before the month and day of `reference` in its
+// own year. Comparing day numbers instead would pit 1 March against
+// 29 February whenever only one of the years is a leap year.
+export const isOnOrBeforeMonthDay = (date, reference) =>
+  date.getMonth() < reference.getMonth()
+  || (date.getMonth() === reference.getMonth() && date.getDate() <= reference.getDate());
+
+// The activity's start as a local Date showing the wall-clock time where it
+// happened, so its day and year do not depend on the zone the tracker runs in.
+// Strava's `start_date_local` holds that time with a misleading `Z`; without
+// it the UTC `start_date` is the best guess.
+export const activityDate = (activity) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/.exec(activity.start_date_local || '');
+  if (!match) return new Date(activity.start_date);
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+export const activityYear = (activity) => activityDate(activity).getFullYear();
+
+// Day of the year the progress math runs up to: today for the current year,
+// the whole year for past ones.
+export const elapsedDaysInYear = (year, now = new Date()) => {
+  if (year < now.getFullYear()) return daysInYear(year);
+  if (year > now.getFullYear()) return 0;
+  return dayOfYear(now);
+};
+
+// 'YYYY-MM-DD' as local midnight, the form date inputs use.
+export const parseDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const formatDateInput = (date) =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+    .join('-');
+
+// Epoch-second bounds for fetching `year` from Strava. An activity belongs to
+// the year of its local start date, up to 14 hours either side of the
+// browser's clock, so the range reaches a day into the neighbouring years.
+export const yearFetchRange = (year) => ({
+  after: new Date(year, 0, 1).getTime() / 1000 - DAY_MS / 1000,
+  before: new Date(year + 1, 0, 1).getTime() / 1000 + DAY_MS / 1000,
+});
+
+// Whole calendar days from `from` to `to`.
+export const daysBetween = (from, to) => calendarDay(to) - calendarDay(from);
@@ -0,0 +1,125 @@
+// Turns counted activities and goal progress into files that can leave the page.
+
+import { getGoalTarget } from './goals';
+import { getMetric, sumMetric } from './metrics';
+import { computeProgress } from './progress';
+import { monthsOfYear } from './series';
+import { activityDate } from './dates';
+import { formatDate, formatDateTime, formatPercent, translate } from './i18n';
+
+const formatDuration = (seconds) => {
+  const total = Math.round(seconds || 0);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${Math.floor(total / 3600)}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+};
+
+const toRow = (activity) => ({
+  date: activity.start_date_local || activity.start_date,
+  name: activity.name,
+  type: activity.sport_type || activity.type,
+  distance_km: Number(((activity.distance || 0) / 1000).toFixed(2)),
+  elevation_m: Math.round(activity.total_elevation_gain || 0),
+  moving_time: formatDuration(activity.moving_time),
+  elapsed_time: formatDuration(activity.elapsed_time),
+});
+
+const byDate = (a, b) => activityDate(a) - activityDate(b);
+
+// Spreadsheets run text starting with these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  const raw = String(value ?? '');
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const activitiesToCsv = (activities) => {
+  const rows = [...activities].sort(byDate).map(toRow);
+  const columns = ['date', 'name', 'type', 'distance_km', 'elevation_m', 'moving_time', 'elapsed_time'];
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(','))
+    .join('\n');
+};
+
+export const activitiesToJson = (activities) =>
+  JSON.stringify([...activities].sort(byDate).map(toRow), null, 2);
+
+const REVOKE_DELAY_MS = 10 * 1000;
+
+export const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Some browsers (older Safari, Firefox) read the blob after click() returns
+  // and cancel the download if it is already revoked
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const goalSection = (goal, activities, year, weights, preferences) => {
+  const t = (key, params) => translate(preferences.language, key, params);
+  const metric = getMetric(goal.metric, preferences);
+  const target = getGoalTarget(goal, year);
+  const total = sumMetric(activities, goal.metric);
+  const progress = computeProgress({ total, target, year, weights });
+  const periodTarget = (dayIndexes) =>
+    target * dayIndexes.reduce((sum, dayIndex) => sum + weights[dayIndex], 0);
+
+  const months = monthsOfYear(year).map(({ start, dayIndexes }) => {
+    const value = sumMetric(
+      activities.filter((activity) => activityDate(activity).getMonth() === start.getMonth()),
+      goal.metric
+    );
+    return `<tr>
+      <td>${formatDate(preferences.language, start, { month: 'long' })}</td>
+      <td>${metric.format(value)}</td>
+      <td>${metric.format(periodTarget(dayIndexes))}</td>
+    </tr>`;
+  });
+
+  return `<section>
+    <h2>${escapeHtml(goal.name)}</h2>
+    <table class="summary">
+      <tr><th>${t('report.goal')}</th><td>${metric.format(target)}</td></tr>
+      <tr><th>${t('report.progress')}</th><td>${metric.format(total)} (${formatPercent(preferences.language, progress.percentComplete)})</td></tr>
+      <tr><th>${t('report.expected')}</th><td>${metric.format(progress.expected)}</td></tr>
+      <tr><th>${t('report.projected')}</th><td>${metric.format(progress.projected)}</td></tr>
+      <tr><th>${t('report.activities')}</th><td>${activities.length}</td></tr>
+    </table>
+    <table>
+      <thead><tr><th>${t('report.month')}</th><th>${t('report.total')}</th><th>${t('report.target')}</th></tr></thead>
+      <tbody>${months.join('')}</tbody>
+    </table>
+  </section>`;
+};
+
+// A self-contained HTML page summarizing the year; print it or save it as PDF.
+// `preferences` picks the report's units and language.
+export const buildYearReport = ({ year, goals, goalActivities, goalWeights, preferences }) => `<!DOCTYPE html>
+<html lang="${preferences.language}">
+<head>
+  <meta charset="utf-8">
+  <title>${translate(preferences.language, 'report.title', { year })}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #111827; }
+    h1 { margin-bottom: 0.25rem; }
+    section { break-inside: avoid; margin-top: 2rem; }
+    table { border-collapse: collapse; margin-top: 0.75rem; min-width: 24rem; }
+    th, td { text-align: left; padding: 0.25rem 1rem 0.25rem 0; border-bottom: 1px solid #e5e7eb; }
+    .summary th { width: 12rem; }
+    .generated { color: #6b7280; }
+  </style>
+</head>
+<body>
+  <h1>${translate(preferences.language, 'report.title', { year })}</h1>
+  <div class="generated">
+    ${translate(preferences.language, 'report.generated', { date: formatDateTime(preferences.language, new Date()) })}
+  </div>
+  ${goals.map((goal) => goalSection(goal, goalActivities[goal.id] || [], year, goalWeights[goal.id], preferences)).join('')}
+</body>
+</html>`;
@@ -0,0 +1,30 @@
+import { activitiesToCsv } from './export';
+
+const ride = (name) => ({
+  name,
+  type: 'Ride',
+  start_date_local: '2024-05-01T08:00:00Z',
+  distance: 12345,
+  total_elevation_gain: 100,
+  moving_time: 3600,
+  elapsed_time: 3900,
+});
+
+test('quotes names with commas and keeps formulas from running', () => {
+  const lines = activitiesToCsv([ride('Coffee, cake'), ride('=HYPERLINK("http://x")'), ride('-10 degrees'), ride('@home')])
+    .split('\n');
+  expect(lines[0]).toBe('date,name,type,distance_km,elevation_m,moving_time,elapsed_time');
+  expect(lines.slice(1).map((line) => line.split(',Ride,')[0].replace('2024-05-01T08:00:00Z,', ''))).toEqual([
+    '"Coffee, cake"',
+    '"\'=HYPERLINK(""http://x"")"',
+    "'-10 degrees",
+    "'@home",
+  ]);
+  expect(lines[1]).toBe('2024-05-01T08:00:00Z,"Coffee, cake",Ride,12.35,100,1:00:00,1:05:00');
+});
+
+test('quotes line breaks of either kind', () => {
+  const [, first, second] = activitiesToCsv([ride('Up\rand down'), ride('Two\nlines')]).split(/\n(?=2024)/);
+  expect(first).toContain(',"Up\rand down",');
+  expect(second).toContain(',"Two\nlines",');
+});
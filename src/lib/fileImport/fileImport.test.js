@@ -0,0 +1,80 @@
+import { parseGpx } from './gpx';
+import { parseTcx } from './tcx';
+import { parseFit } from './fit';
+
+const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>Morning Ride</name>
+    <type>cycling</type>
+    <trkseg>
+      <trkpt lat="48.0000" lon="11.0000"><ele>500</ele><time>2024-05-01T06:00:00Z</time></trkpt>
+      <trkpt lat="48.0100" lon="11.0000"><ele>510</ele><time>2024-05-01T06:05:00Z</time></trkpt>
+      <trkpt lat="48.0200" lon="11.0000"><ele>505</ele><time>2024-05-01T06:10:00Z</time></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+const tcx = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Activities>
+    <Activity Sport="Running">
+      <Id>2024-03-10T08:30:00Z</Id>
+      <Lap StartTime="2024-03-10T08:30:00Z">
+        <TotalTimeSeconds>1800</TotalTimeSeconds>
+        <DistanceMeters>5000</DistanceMeters>
+      </Lap>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>`;
+
+// A FIT file holding a single session message: cycling, 42.1 km, 1.5 h.
+const buildFit = () => {
+  const fitSeconds = Date.UTC(2024, 6, 14, 7, 0, 0) / 1000 - 631065600;
+  const records = [
+    0x40, 0, 0, 18, 0, 4, // definition of local message 0 as session
+    2, 4, 0x86, 5, 1, 0x00, 9, 4, 0x86, 7, 4, 0x86,
+    0x00, // data message
+    ...uint32(fitSeconds), 2, ...uint32(4210000), ...uint32(5400000),
+  ];
+  const header = [14, 0x10, 0, 0, ...uint32(records.length), ...'.FIT'.split('').map((c) => c.charCodeAt(0)), 0, 0];
+  return new Uint8Array([...header, ...records, 0, 0]).buffer;
+};
+
+const uint32 = (value) => [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, (value >>> 24) & 0xff];
+
+test('parses a GPX track into a Strava-shaped activity', () => {
+  const [activity] = parseGpx(gpx, 'file');
+
+  expect(activity.name).toBe('Morning Ride');
+  expect(activity.type).toBe('Ride');
+  expect(activity.start_date).toBe('2024-05-01T06:00:00Z');
+  expect(activity.distance).toBeCloseTo(2224, -1);
+  expect(activity.elapsed_time).toBe(600);
+  expect(activity.total_elevation_gain).toBe(10);
+  expect(activity.source).toBe('file');
+  expect(activity.private).toBe(false);
+});
+
+test('takes TCX distance and time from the laps', () => {
+  const [activity] = parseTcx(tcx, 'tempo');
+
+  expect(activity.name).toBe('tempo');
+  expect(activity.type).toBe('Run');
+  expect(activity.distance).toBe(5000);
+  expect(activity.moving_time).toBe(1800);
+  expect(activity.trainer).toBe(true);
+});
+
+test('reads session totals from a FIT file', () => {
+  const [activity] = parseFit(buildFit(), 'garmin');
+
+  expect(activity.type).toBe('Ride');
+  expect(activity.start_date).toBe('2024-07-14T07:00:00Z');
+  expect(activity.distance).toBe(42100);
+  expect(activity.elapsed_time).toBe(5400);
+});
+
+test('rejects files that are not FIT', () => {
+  expect(() => parseFit(new Uint8Array(20).buffer, 'junk')).toThrow('Not a valid FIT file');
+});
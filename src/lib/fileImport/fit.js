@@ -0,0 +1,111 @@
+import { toActivity } from './track';
+
+// Minimal reader for Garmin's binary FIT format: walks the record stream and
+// keeps only the session messages, which carry each activity's totals.
+
+const SESSION_MESSAGE = 18;
+// FIT timestamps count seconds from 1989-12-31T00:00:00Z.
+const FIT_EPOCH_S = 631065600;
+
+const SESSION_FIELDS = {
+  2: 'startTime',
+  5: 'sport',
+  6: 'subSport',
+  7: 'totalElapsedTime',
+  8: 'totalTimerTime',
+  9: 'totalDistance',
+  22: 'totalAscent',
+};
+
+const INVALID = { 1: 0xff, 2: 0xffff, 4: 0xffffffff };
+
+const SPORTS = { 1: 'Run', 2: 'Ride', 5: 'Swim', 11: 'Walk', 17: 'Hike', 15: 'Rowing' };
+const CYCLING_SUB_SPORTS = { 8: 'MountainBikeRide', 46: 'GravelRide', 58: 'VirtualRide' };
+const INDOOR_CYCLING = 6;
+
+const readValue = (view, offset, size, littleEndian) => {
+  switch (size) {
+    case 1: return view.getUint8(offset);
+    case 2: return view.getUint16(offset, littleEndian);
+    case 4: return view.getUint32(offset, littleEndian);
+    default: return undefined;
+  }
+};
+
+const readSessions = (buffer) => {
+  const view = new DataView(buffer);
+  const headerSize = view.getUint8(0);
+  if (buffer.byteLength < 12 || String.fromCharCode(...new Uint8Array(buffer, 8, 4)) !== '.FIT') {
+    throw new Error('Not a valid FIT file');
+  }
+  const end = Math.min(headerSize + view.getUint32(4, true), buffer.byteLength);
+
+  const definitions = {};
+  const sessions = [];
+  let offset = headerSize;
+
+  while (offset < end) {
+    const header = view.getUint8(offset++);
+    const isCompressedTimestamp = (header & 0x80) !== 0;
+    const localType = isCompressedTimestamp ? (header >> 5) & 0x03 : header & 0x0f;
+
+    if (!isCompressedTimestamp && (header & 0x40)) {
+      const hasDeveloperFields = (header & 0x20) !== 0;
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const globalType = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++, offset += 3) {
+        fields.push({ number: view.getUint8(offset), size: view.getUint8(offset + 1) });
+      }
+      let developerSize = 0;
+      if (hasDeveloperFields) {
+        const developerCount = view.getUint8(offset++);
+        for (let i = 0; i < developerCount; i++, offset += 3) {
+          developerSize += view.getUint8(offset + 1);
+        }
+      }
+      definitions[localType] = { globalType, littleEndian, fields, developerSize };
+      continue;
+    }
+
+    const definition = definitions[localType];
+    if (!definition) throw new Error('FIT data message without definition');
+
+    const message = {};
+    for (const { number, size } of definition.fields) {
+      if (definition.globalType === SESSION_MESSAGE && SESSION_FIELDS[number]) {
+        const value = readValue(view, offset, size, definition.littleEndian);
+        if (value !== undefined && value !== INVALID[size]) message[SESSION_FIELDS[number]] = value;
+      }
+      offset += size;
+    }
+    offset += definition.developerSize;
+
+    if (definition.globalType === SESSION_MESSAGE) sessions.push(message);
+  }
+
+  return sessions;
+};
+
+const toStravaType = (sport, subSport) => {
+  if (sport === 2) return CYCLING_SUB_SPORTS[subSport] || 'Ride';
+  return SPORTS[sport] || 'Workout';
+};
+
+export const parseFit = (buffer, fileName) => {
+  const sessions = readSessions(buffer).filter((session) => session.startTime !== undefined);
+  if (sessions.length === 0) throw new Error('FIT file contains no activity session');
+
+  return sessions.map((session) => toActivity({
+    name: fileName,
+    type: toStravaType(session.sport, session.subSport),
+    start: new Date((session.startTime + FIT_EPOCH_S) * 1000),
+    distance: (session.totalDistance || 0) / 100,
+    movingTime: Math.round((session.totalTimerTime || 0) / 1000),
+    elapsedTime: Math.round((session.totalElapsedTime || session.totalTimerTime || 0) / 1000),
+    elevationGain: session.totalAscent || 0,
+    trainer: session.sport === 2 && session.subSport === INDOOR_CYCLING,
+  }));
+};
@@ -0,0 +1,25 @@
+import { summarizeTrack, toActivity, toStravaType } from './track';
+import { parseXml, childText } from './xml';
+
+export const parseGpx = (xml, fileName) => {
+  const doc = parseXml(xml, 'GPX');
+
+  return Array.from(doc.getElementsByTagName('trk')).map((track) => {
+    const points = Array.from(track.getElementsByTagName('trkpt'))
+      .map((point) => ({
+        lat: parseFloat(point.getAttribute('lat')),
+        lon: parseFloat(point.getAttribute('lon')),
+        ele: childText(point, 'ele') ? parseFloat(childText(point, 'ele')) : undefined,
+        time: new Date(childText(point, 'time')),
+      }))
+      .filter((point) => !isNaN(point.time));
+    if (points.length === 0) throw new Error('GPX track has no timestamps');
+
+    const summary = summarizeTrack(points);
+    return toActivity({
+      ...summary,
+      name: childText(track, 'name') || fileName,
+      type: toStravaType(childText(track, 'type')),
+    });
+  });
+};
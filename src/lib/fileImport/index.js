@@ -0,0 +1,39 @@
+// Parses activity files recorded by head units and watches in the browser,
+// without going through Strava.
+
+import { parseGpx } from './gpx';
+import { parseTcx } from './tcx';
+import { parseFit } from './fit';
+
+export const ACCEPTED_FILE_TYPES = '.gpx,.tcx,.fit';
+
+const baseName = (fileName) => fileName.replace(/\.[^.]+$/, '');
+
+const parseFile = async (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  switch (extension) {
+    case 'gpx':
+      return parseGpx(await file.text(), baseName(file.name));
+    case 'tcx':
+      return parseTcx(await file.text(), baseName(file.name));
+    case 'fit':
+      return parseFit(await file.arrayBuffer(), baseName(file.name));
+    default:
+      throw new Error('Unsupported file type');
+  }
+};
+
+// Resolves to the parsed activities plus a { fileName, message } entry for
+// every file that could not be read, so one bad file does not stop the rest.
+export const importFiles = async (files) => {
+  const activities = [];
+  const errors = [];
+  for (const file of files) {
+    try {
+      activities.push(...(await parseFile(file)));
+    } catch (error) {
+      errors.push({ fileName: file.name, message: error.message });
+    }
+  }
+  return { activities, errors };
+};
@@ -0,0 +1,37 @@
+import { summarizeTrack, toActivity, toStravaType } from './track';
+import { parseXml, childText } from './xml';
+
+export const parseTcx = (xml, fileName) => {
+  const doc = parseXml(xml, 'TCX');
+
+  return Array.from(doc.getElementsByTagName('Activity')).map((activity) => {
+    const points = Array.from(activity.getElementsByTagName('Trackpoint'))
+      .map((point) => ({
+        lat: parseFloat(childText(point, 'LatitudeDegrees')),
+        lon: parseFloat(childText(point, 'LongitudeDegrees')),
+        ele: childText(point, 'AltitudeMeters') ? parseFloat(childText(point, 'AltitudeMeters')) : undefined,
+        time: new Date(childText(point, 'Time')),
+      }))
+      .filter((point) => !isNaN(point.time) && !isNaN(point.lat) && !isNaN(point.lon));
+    const summary = summarizeTrack(points);
+
+    // Lap totals are what the device recorded; prefer them over the GPS track,
+    // which indoor rides do not have at all.
+    const laps = Array.from(activity.getElementsByTagName('Lap'));
+    const lapDistance = laps.reduce((sum, lap) => sum + (parseFloat(childText(lap, 'DistanceMeters')) || 0), 0);
+    const lapTime = laps.reduce((sum, lap) => sum + (parseFloat(childText(lap, 'TotalTimeSeconds')) || 0), 0);
+    const start = new Date(childText(activity, 'Id') || (laps[0] && laps[0].getAttribute('StartTime')));
+    if (isNaN(start)) throw new Error('TCX activity has no start time');
+
+    return toActivity({
+      ...summary,
+      start,
+      distance: lapDistance || summary.distance,
+      movingTime: Math.round(lapTime) || summary.movingTime,
+      elapsedTime: summary.elapsedTime || Math.round(lapTime),
+      name: childText(activity, 'Notes') || fileName,
+      type: toStravaType(activity.getAttribute('Sport')),
+      trainer: points.length === 0,
+    });
+  });
+};
@@ -0,0 +1,93 @@
+// Turns a recorded track into the activity shape Strava returns, so imported
+// files flow through the same goals, charts and breakdowns.
+
+const EARTH_RADIUS_M = 6371000;
+// Below this speed a track point counts as standing still for moving time.
+const MOVING_SPEED_MS = 0.5;
+// Ignore altitude jitter smaller than this when summing elevation gain.
+const ELEVATION_THRESHOLD_M = 2;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const haversine = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+};
+
+// Points are { lat, lon, time: Date, ele? }.
+export const summarizeTrack = (points) => {
+  let distance = 0;
+  let movingTime = 0;
+  let elevationGain = 0;
+  let lastElevation = points.length > 0 ? points[0].ele : undefined;
+
+  for (let i = 1; i < points.length; i++) {
+    const step = haversine(points[i - 1], points[i]);
+    const seconds = (points[i].time - points[i - 1].time) / 1000;
+    distance += step;
+    if (seconds > 0 && step / seconds >= MOVING_SPEED_MS) movingTime += seconds;
+
+    const ele = points[i].ele;
+    if (ele !== undefined && lastElevation !== undefined) {
+      if (ele - lastElevation >= ELEVATION_THRESHOLD_M) {
+        elevationGain += ele - lastElevation;
+        lastElevation = ele;
+      } else if (ele < lastElevation) {
+        lastElevation = ele;
+      }
+    } else if (ele !== undefined) {
+      lastElevation = ele;
+    }
+  }
+
+  const start = points.length > 0 ? points[0].time : null;
+  const end = points.length > 0 ? points[points.length - 1].time : null;
+  return {
+    start,
+    distance,
+    movingTime: Math.round(movingTime),
+    elapsedTime: start ? Math.round((end - start) / 1000) : 0,
+    elevationGain,
+  };
+};
+
+// Strava's `start_date_local` is the wall-clock time with a misleading `Z`.
+const toLocalStravaDate = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().replace('.000', '');
+};
+
+export const toActivity = ({ name, type, start, distance, movingTime, elapsedTime, elevationGain, trainer = false }) => ({
+  // Stable id so importing the same file twice replaces instead of duplicating
+  id: `file-${start.getTime()}-${Math.round(distance)}`,
+  source: 'file',
+  name,
+  type,
+  sport_type: type,
+  start_date: start.toISOString().replace('.000', ''),
+  start_date_local: toLocalStravaDate(start),
+  distance,
+  moving_time: movingTime,
+  elapsed_time: elapsedTime,
+  total_elevation_gain: Math.round(elevationGain),
+  trainer,
+  commute: false,
+  // A local file has no Strava visibility, so the private rule never drops it
+  private: false,
+});
+
+// Maps the free-text sport names used in GPX and TCX files to Strava types.
+export const toStravaType = (sport) => {
+  const value = (sport || '').toLowerCase();
+  if (/virtual/.test(value)) return 'VirtualRide';
+  if (/mountain|mtb/.test(value)) return 'MountainBikeRide';
+  if (/gravel/.test(value)) return 'GravelRide';
+  if (/run/.test(value)) return 'Run';
+  if (/hik/.test(value)) return 'Hike';
+  if (/walk/.test(value)) return 'Walk';
+  if (/swim/.test(value)) return 'Swim';
+  return 'Ride';
+};
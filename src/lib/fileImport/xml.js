@@ -0,0 +1,13 @@
+export const parseXml = (xml, format) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`Not a valid ${format} file`);
+  }
+  return doc;
+};
+
+// Text of the first descendant named `tagName`, or '' if there is none.
+export const childText = (parent, tagName) => {
+  const element = parent.getElementsByTagName(tagName)[0];
+  return element ? element.textContent.trim() : '';
+};
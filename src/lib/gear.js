@@ -0,0 +1,98 @@
+// Bikes from the athlete's Strava profile, distance ridden per bike, and
+// maintenance items such as "chain every 3,000 km". An item's `resetOn` is
+// the 'YYYY-MM-DD' date it was last serviced; `interval` is in kilometres.
+
+import { activityDate, formatDateInput, parseDate } from './dates';
+
+const STORAGE_KEY = 'maintenance';
+
+// Strava started in 2009, so no ride it holds is older. Also keeps a mistyped
+// service year from asking for centuries of syncs.
+export const FIRST_STRAVA_YEAR = 2009;
+export const EARLIEST_SERVICE_DATE = `${FIRST_STRAVA_YEAR}-01-01`;
+
+// Share of the interval from which an item is shown as due soon
+export const DUE_SOON_SHARE = 0.9;
+
+// Typical service intervals in km, keyed by component
+export const MAINTENANCE_PRESETS = {
+  chain: 3000,
+  tyres: 5000,
+  brakePads: 2000,
+  cassette: 10000,
+};
+
+export const createMaintenanceItem = (gearId, name, interval, resetOn = formatDateInput(new Date())) => ({
+  id: `maintenance-${Date.now()}`,
+  gearId,
+  name,
+  interval,
+  resetOn,
+});
+
+// Strava bike ids start with "b", shoes with "g".
+const isBike = (gearId) => typeof gearId === 'string' && gearId.startsWith('b');
+
+// Kilometres per bike id.
+export const distanceByGear = (activities) =>
+  activities.reduce((byGear, activity) => {
+    if (isBike(activity.gear_id)) {
+      byGear[activity.gear_id] = (byGear[activity.gear_id] || 0) + (activity.distance || 0) / 1000;
+    }
+    return byGear;
+  }, {});
+
+// The athlete's bikes plus any bike only known from activities, e.g. one that
+// was sold and dropped from the profile. Names need the profile:read_all scope.
+export const listBikes = (bikes, activities) => {
+  const known = (bikes || []).map(({ id, name, distance, retired }) => ({
+    id,
+    name: name || id,
+    lifetimeDistance: distance / 1000,
+    retired: Boolean(retired),
+  }));
+  const unknownIds = new Set(
+    activities.map((activity) => activity.gear_id).filter((gearId) => isBike(gearId))
+  );
+  known.forEach(({ id }) => unknownIds.delete(id));
+  return [...known, ...[...unknownIds].map((id) => ({ id, name: id, lifetimeDistance: null, retired: false }))];
+};
+
+// Years from the item's last service up to `now` that are not in
+// `syncedYears`, so their rides are missing from its distance.
+export const missingServiceYears = (item, syncedYears, now = new Date()) => {
+  const years = [];
+  const from = Math.max(parseDate(item.resetOn).getFullYear(), FIRST_STRAVA_YEAR);
+  for (let year = from; year <= now.getFullYear(); year += 1) {
+    if (!syncedYears[year]) years.push(year);
+  }
+  return years;
+};
+
+export const maintenanceStatus = (item, activities) => {
+  const since = parseDate(item.resetOn);
+  const distance = activities
+    .filter((activity) => activity.gear_id === item.gearId && activityDate(activity) >= since)
+    .reduce((sum, activity) => sum + (activity.distance || 0) / 1000, 0);
+  const share = item.interval > 0 ? distance / item.interval : 0;
+  return {
+    distance,
+    remaining: Math.max(item.interval - distance, 0),
+    share,
+    state: share >= 1 ? 'due' : share >= DUE_SOON_SHARE ? 'soon' : 'ok',
+  };
+};
+
+export const loadMaintenance = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error('Error reading maintenance items:', error);
+    return [];
+  }
+};
+
+export const saveMaintenance = (items) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+};
@@ -0,0 +1,34 @@
+import { listBikes, maintenanceStatus, missingServiceYears } from './gear';
+
+const ride = (gearId, date, km) => ({ gear_id: gearId, start_date: `${date}T12:00:00Z`, distance: km * 1000 });
+
+const activities = [
+  ride('b1', '2024-03-01', 1500),
+  ride('b1', '2024-04-01', 1300),
+  ride('b2', '2024-04-02', 400),
+  ride('g7', '2024-04-03', 10),
+];
+
+test('counts the distance on a bike since the item was reset', () => {
+  const chain = { gearId: 'b1', interval: 3000, resetOn: '2024-03-01' };
+  expect(maintenanceStatus(chain, activities)).toMatchObject({ distance: 2800, remaining: 200, state: 'soon' });
+  expect(maintenanceStatus({ ...chain, interval: 2500 }, activities).state).toBe('due');
+  expect(maintenanceStatus({ ...chain, resetOn: '2024-03-02' }, activities).distance).toBe(1300);
+});
+
+test('lists profile bikes and bikes only seen on activities, but no shoes', () => {
+  const bikes = listBikes([{ id: 'b1', name: 'Road', distance: 12000000 }], activities);
+  expect(bikes.map(({ id, name, lifetimeDistance }) => [id, name, lifetimeDistance])).toEqual([
+    ['b1', 'Road', 12000],
+    ['b2', 'b2', null],
+  ]);
+});
+
+test('names the years since the last service that are not synced', () => {
+  const chain = { gearId: 'b1', interval: 3000, resetOn: '2022-11-15' };
+  const now = new Date(2024, 5, 1);
+  expect(missingServiceYears(chain, { 2024: '2024-06-01T08:00:00Z' }, now)).toEqual([2022, 2023]);
+  expect(missingServiceYears(chain, { 2022: 'x', 2023: 'x', 2024: 'x' }, now)).toEqual([]);
+  // A mistyped year stops at Strava's first
+  expect(missingServiceYears({ ...chain, resetOn: '0201-11-15' }, {}, now)).toHaveLength(16);
+});
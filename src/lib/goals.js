@@ -0,0 +1,78 @@
+// Goal definitions and their persistence. A goal counts every activity whose
+// Strava `type` or `sport_type` is in its `types` list and that passes its
+// counting `rules`, measured in its `metric`.
+
+import { DEFAULT_METRIC } from './metrics';
+import { failedRule } from './rules';
+
+const STORAGE_KEY = 'goals';
+const LEGACY_GOAL_KEY = 'cyclingYearGoal';
+
+export const ACTIVITY_TYPE_GROUPS = {
+  Cycling: ['Ride', 'VirtualRide', 'GravelRide', 'EBikeRide', 'MountainBikeRide', 'HandCycle', 'Velomobile'],
+  Running: ['Run', 'TrailRun', 'VirtualRun'],
+  Walking: ['Walk', 'Hike'],
+  Swimming: ['Swim'],
+  Other: [
+    'Rowing', 'VirtualRow', 'Kayaking', 'Canoeing', 'StandUpPaddling', 'NordicSki',
+    'BackcountrySki', 'RollerSki', 'InlineSkate', 'Snowshoe', 'Wheelchair',
+  ],
+};
+
+export const DEFAULT_GOAL = {
+  id: 'cycling',
+  name: 'Cycling',
+  types: ACTIVITY_TYPE_GROUPS.Cycling,
+  metric: DEFAULT_METRIC,
+  target: 10000,
+};
+
+// Names are passed in translated; the defaults are the English ones.
+export const createGoal = (name = 'New Goal') => ({
+  id: `goal-${Date.now()}`,
+  name,
+  types: [],
+  metric: DEFAULT_METRIC,
+  target: 1000,
+});
+
+// `target` is the default; `targets` holds the goals set for individual years.
+export const getGoalTarget = (goal, year) =>
+  (goal.targets && goal.targets[year]) || goal.target;
+
+export const withGoalTarget = (goal, year, target) => ({
+  ...goal,
+  targets: { ...goal.targets, [year]: target },
+});
+
+const matchesTypes = (activity, types) => types.includes(activity.sport_type) || types.includes(activity.type);
+
+export const matchesGoal = (activity, goal) => matchesTypes(activity, goal.types) && !failedRule(activity, goal.rules);
+
+// Why `activity` is or is not counted: `{ counted: true }`, or
+// `{ counted: false, reason: 'type' }` / `{ counted: false, reason: 'rule', rule }`.
+export const explainMatch = (activity, { types, rules }) => {
+  if (!matchesTypes(activity, types)) return { counted: false, reason: 'type' };
+  const rule = failedRule(activity, rules);
+  return rule ? { counted: false, reason: 'rule', rule } : { counted: true };
+};
+
+// `defaultName` names the cycling goal a first visit starts with.
+export const loadGoals = (defaultName = DEFAULT_GOAL.name) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved) && saved.length > 0) {
+      return saved.map((goal) => ({ metric: DEFAULT_METRIC, ...goal }));
+    }
+  } catch (error) {
+    console.error('Error reading saved goals:', error);
+  }
+  // Carry over the single cycling goal from before goals were configurable
+  const legacyGoal = parseInt(localStorage.getItem(LEGACY_GOAL_KEY));
+  return [{ ...DEFAULT_GOAL, name: defaultName, target: legacyGoal || DEFAULT_GOAL.target }];
+};
+
+export const saveGoals = (goals) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(goals));
+  localStorage.removeItem(LEGACY_GOAL_KEY);
+};
@@ -0,0 +1,272 @@
+const de = {
+  'app.title': 'Radsport-Fortschritt',
+  'app.connecting': 'Verbindung mit Strava...',
+  'app.connectingDetail': 'Bitte warten, die Autorisierung wird verarbeitet.',
+  'app.startTracking': 'Loslegen',
+  'app.withoutStrava': 'Oder ohne Strava:',
+  'app.poweredByStrava': 'Powered by Strava',
+
+  'sync.lastSynced': 'Zuletzt synchronisiert {date}',
+  'sync.never': 'Noch nicht synchronisiert',
+  'sync.sync': 'Synchronisieren',
+  'sync.fullResync': 'Alles neu laden',
+  'sync.fullResyncHint': 'Alle Aktivitäten des gewählten Jahres neu laden, um bearbeitete oder gelöschte Fahrten zu übernehmen',
+  'sync.incomplete': 'Die Synchronisierung wurde nicht abgeschlossen, daher fehlen unten eventuell Aktivitäten.',
+  'sync.offline': 'Du bist offline. Angezeigt wird der Stand der letzten Synchronisierung am {date}.',
+  'sync.offlineNever': 'Du bist offline und dieses Jahr wurde noch nicht synchronisiert.',
+  'sync.stale': 'Zuletzt synchronisiert {date}, die Zahlen sind daher eventuell nicht aktuell.',
+  'sync.apiUsage': 'Strava-API-Nutzung: {shortTerm} (15 Min.), {daily} (Tag)',
+  'sync.rateLimited': 'Das Strava-API-Limit ist bis {date} ausgeschöpft.',
+  'session.logout': 'Trennen',
+  'session.logoutHint': 'Abmelden und den Zugriff dieser App auf dein Strava-Konto widerrufen',
+  'session.scope.private': 'Du hast keinen Zugriff auf alle Aktivitäten erlaubt, daher fehlen private und nur für Follower sichtbare Aktivitäten in allen Summen.',
+  'session.scope.none': 'Du hast keinen Zugriff auf deine Aktivitäten erlaubt, daher kann nichts von Strava synchronisiert werden.',
+  'session.reconnect': 'Mit Zugriff auf alle Aktivitäten neu verbinden',
+  'session.loginFailed': 'Die Verbindung mit Strava ist fehlgeschlagen: {message}. Bitte versuche es erneut.',
+
+  'preferences.units': 'Einheiten',
+  'preferences.language': 'Sprache',
+  'units.metric': 'Metrisch (km, m)',
+  'units.imperial': 'Imperial (mi, ft)',
+
+  'common.name': 'Name',
+  'common.metric': 'Messgröße',
+  'common.save': 'Speichern',
+  'common.cancel': 'Abbrechen',
+  'common.noActivities': 'Keine Aktivitäten',
+  'common.loading': 'Wird geladen...',
+  'common.calculating': 'Wird berechnet...',
+
+  'goal.add': 'Ziel hinzufügen',
+  'goal.newName': 'Neues Ziel',
+  'goal.edit': 'Ziel bearbeiten',
+  'goal.remove': 'Ziel entfernen',
+  'goal.yearGoal': 'Ziel {year}',
+  'goal.projected': 'Prognose Jahresende',
+
+  'challenge.add': 'Challenge hinzufügen',
+  'challenge.newName': 'Neue Challenge',
+  'challenge.edit': 'Challenge bearbeiten',
+  'challenge.remove': 'Challenge entfernen',
+  'challenge.start': 'Beginn',
+  'challenge.end': 'Ende',
+  'challenge.target': 'Ziel',
+  'challenge.upcoming': 'Demnächst',
+  'challenge.finished': 'Beendet',
+  'challenge.day': 'Tag {day} von {total}',
+  'challenge.projected': 'Prognose Ende',
+
+  'team.add': 'Teamziel hinzufügen',
+  'team.newName': 'Neues Teamziel',
+  'team.edit': 'Teamziel bearbeiten',
+  'team.remove': 'Teamziel entfernen',
+  'team.refresh': 'Verbundene Athleten aktualisieren',
+  'team.year': 'Jahr',
+  'team.typesNote': 'Die Aktivitätstypen gelten für dich und verbundene Athleten; importierte Stände bringen ihre eigene Summe mit.',
+  'team.leaderboard': 'Beiträge',
+  'team.you': 'Du',
+  'team.disconnected': 'abgemeldet, zum Aktualisieren neu verbinden',
+  'team.removeMember': 'Mitglied entfernen',
+  'team.connectAthlete': 'Athlet mit Strava verbinden',
+  'team.addSnapshot': 'Aus Widget-Link hinzufügen',
+  'team.memberName': 'Name des Mitglieds',
+  'team.widgetLink': 'Widget-Link oder Einbettungscode',
+  'team.linkError.invalid': 'Das ist kein Fortschritts-Widget-Link.',
+  'team.linkError.year': 'Dieser Stand ist nicht aus {year}.',
+  'team.linkError.metric': 'Dieser Stand misst eine andere Größe als das Teamziel.',
+
+  'rules.title': 'Zählregeln',
+  'rules.count': '{count} Zählregeln',
+  'rules.count_one': '{count} Zählregel',
+  'rules.add': 'Regel hinzufügen',
+  'rules.remove': 'Regel entfernen',
+  'rules.action.exclude': 'Ausschließen',
+  'rules.action.only': 'Nur zählen',
+  'rules.kind.trainer': 'Trainer-Einheiten',
+  'rules.kind.commute': 'Pendelfahrten',
+  'rules.kind.private': 'private Aktivitäten',
+  'rules.kind.sportType': 'Sportart',
+  'rules.kind.shorterThan': 'Aktivitäten kürzer als',
+  'rules.kind.name': 'Namen passend zu',
+  'rules.namePlaceholder': 'z. B. zwift|indoor',
+  'rules.preview': 'Vorschau: {counted} gezählt, {excluded} ausgeschlossen',
+  'rules.previewLimit': 'Die neuesten {count} werden angezeigt.',
+  'rules.counted': 'Gezählt',
+  'rules.reason.type': '{type} ist kein ausgewählter Typ',
+  'rules.reason.exclude.trainer': 'Trainer-Einheit',
+  'rules.reason.exclude.commute': 'Pendelfahrt',
+  'rules.reason.exclude.private': 'Privat',
+  'rules.reason.exclude.sportType': 'Sportart ist {value}',
+  'rules.reason.exclude.shorterThan': 'Kürzer als {value}',
+  'rules.reason.exclude.name': 'Name passt zu „{value}“',
+  'rules.reason.only.trainer': 'Keine Trainer-Einheit',
+  'rules.reason.only.commute': 'Keine Pendelfahrt',
+  'rules.reason.only.private': 'Nicht privat',
+  'rules.reason.only.sportType': 'Sportart ist nicht {value}',
+  'rules.reason.only.shorterThan': 'Nicht kürzer als {value}',
+  'rules.reason.only.name': 'Name passt nicht zu „{value}“',
+
+  'progress.progress': 'Fortschritt',
+  'progress.incomplete': 'unvollständig',
+  'progress.asOf': 'Stand {date}',
+  'progress.expected': 'Erwarteter Fortschritt',
+  'progress.requiredDaily': 'Nötig pro Tag',
+
+  'chart.actual': 'Tatsächlich',
+  'chart.targetPace': 'Zieltempo',
+  'chart.projected': 'Prognose',
+  'chart.total': 'Gesamt: {value}',
+  'chart.ahead': '{value} vor dem Ziel',
+  'chart.behind': '{value} hinter dem Ziel',
+
+  'breakdown.title': 'Aufschlüsselung',
+  'breakdown.monthly': 'Monatlich',
+  'breakdown.weekly': 'Wöchentlich',
+
+  'activities.title': 'Aktivitäten {year}',
+  'activities.search': 'Nach Namen suchen',
+  'activities.allTypes': 'Alle Sportarten',
+  'activities.allMonths': 'Alle Monate',
+  'activities.allGoals': 'Gezählt oder nicht',
+  'activities.countedFor': 'Gezählt für {name}',
+  'activities.count': '{count} Aktivitäten',
+  'activities.count_one': '{count} Aktivität',
+  'activities.showMore': '{count} weitere anzeigen',
+  'activities.openOnStrava': 'Auf Strava ansehen',
+  'activities.column.date': 'Datum',
+  'activities.column.name': 'Name',
+  'activities.column.type': 'Sportart',
+  'activities.column.distance': 'Distanz',
+  'activities.column.movingTime': 'Bewegungszeit',
+  'activities.column.elevation': 'Höhenmeter',
+  'activities.column.speed': 'Tempo',
+  'activities.column.count': 'Aktivitäten',
+  'activities.column.averageSpeed': 'Ø Tempo',
+  'activities.column.averageDistance': 'Ø Länge',
+  'activities.column.elevationPerDistance': 'Steigung',
+  'activities.column.rolling': '4-Wochen-Distanz',
+  'activities.period.month': 'Monat',
+  'activities.period.week': 'Woche ab',
+  'activities.analytics': 'Auswertung',
+  'activities.analyticsNote': 'Umfasst Radfahrten, solange keine Sportart und kein Ziel gewählt ist, und folgt der Suche. Die 4-Wochen-Distanz reicht bis zum Ende des Zeitraums oder bis heute.',
+
+  'planner.title': 'Plan für den Rest von {year}',
+  'planner.weekdays': 'Trainingstage',
+  'planner.maxWeekly': 'Höchstens pro Woche ({unit})',
+  'planner.noLimit': 'Keine Grenze',
+  'planner.blocked': 'Gesperrte Zeiträume',
+  'planner.addBlocked': 'Urlaub oder Krankheit eintragen',
+  'planner.removeBlocked': 'Zeitraum entfernen',
+  'planner.done': 'Ziel erreicht, es bleibt nichts zu planen.',
+  'planner.reachable': 'Erreichbar: etwa {value} an jedem der {days} verbleibenden Trainingstage.',
+  'planner.unreachable': 'Mit diesen Einstellungen nicht erreichbar: selbst mit dem Wochenmaximum fehlen {value}.',
+  'planner.noDays': 'Nicht erreichbar: In diesem Jahr bleiben keine Trainingstage.',
+  'planner.week': '{value} an {days}',
+  'planner.weekDone': '{value} erledigt',
+  'planner.blockedWeek': 'Gesperrt',
+  'planner.restWeek': 'Pause',
+
+  'achievements.title': 'Erfolge {year}',
+  'achievements.dayStreakLabel': 'Tage in Folge',
+  'achievements.weekStreakLabel': 'Wochen im Plan',
+  'achievements.days': '{count} Tage',
+  'achievements.days_one': '{count} Tag',
+  'achievements.weeks': '{count} Wochen',
+  'achievements.weeks_one': '{count} Woche',
+  'achievements.best': 'Bestwert {value}',
+  'achievements.dayStreak': '{count} Tage in Folge',
+  'achievements.weekStreak': '{count} Wochen in Folge im Plan',
+  'achievements.total': 'Die ersten {value} des Jahres',
+  'achievements.goalShare': '{count} % des Ziels',
+  'achievements.longest': 'Längste Aktivität: {name}, {value}',
+  'achievements.biggestWeek': 'Stärkste Woche: {week}, {value}',
+  'achievements.new': 'Neu',
+  'achievements.newCount': '{count} neue Erfolge',
+  'achievements.newCount_one': '{count} neuer Erfolg',
+  'achievements.markSeen': 'Als gesehen markieren',
+  'achievements.empty': 'Noch keine Erfolge in diesem Jahr.',
+
+  'comparison.title': 'Jahresvergleich',
+  'comparison.subtitle': '{metric} bis zum {date} jedes Jahres',
+  'comparison.empty': 'Wähle oben ein früheres Jahr, um dessen Aktivitäten zum Vergleich zu laden.',
+  'comparison.thisYear': '{value} dieses Jahr',
+  'comparison.fullYear': 'von {value}',
+
+  'pacing.title': 'Zeitplan',
+  'pacing.linear': 'Gleichmäßig',
+  'pacing.custom': 'Eigenes Monatsprofil',
+  'pacing.learned': 'Aus früheren Jahren gelernt',
+  'pacing.linearHint': 'Jeder Tag des Jahres trägt den gleichen Anteil zum Ziel bei.',
+  'pacing.customHint': 'Relatives Gewicht pro Monat, z. B. 2 für einen Monat, der doppelt so viel zählt wie einer mit 1.',
+  'pacing.noHistory': 'Noch keine Aktivitäten aus anderen Jahren, daher gleichmäßiger Zeitplan für dieses Ziel.',
+
+  'import.importing': 'Wird importiert...',
+  'import.drop': 'GPX-, TCX- oder FIT-Dateien hierher ziehen oder',
+  'import.choose': 'Dateien auswählen',
+  'import.summary_one': '{count} Aktivität importiert.',
+  'import.summary': '{count} Aktivitäten importiert.',
+
+  'gear.title': 'Räder {year}',
+  'gear.empty': 'Noch keine Fahrten mit zugeordnetem Rad. Für Radnamen braucht die Strava-Verbindung die Profil-Berechtigung.',
+  'gear.retired': 'ausgemustert',
+  'gear.lifetime': '{value} insgesamt',
+  'gear.basis': 'Die Wartungsdistanz zählt die synchronisierten Aktivitäten seit dem letzten Zurücksetzen.',
+
+  'maintenance.add': 'Wartungserinnerung hinzufügen',
+  'maintenance.component': 'Bauteil',
+  'maintenance.interval': 'Alle ({unit})',
+  'maintenance.reset': 'Heute gewartet',
+  'maintenance.remove': 'Erinnerung entfernen',
+  'maintenance.lastServiced': 'Zuletzt gewartet',
+  'maintenance.incomplete': 'Fahrten aus {years} sind nicht geladen, die Distanz seit der letzten Wartung ist daher zu niedrig.',
+  'maintenance.loadYears': 'Jetzt laden',
+  'maintenance.soon': 'bald fällig',
+  'maintenance.due': 'fällig',
+  'maintenance.dueWarning': '{name} am {bike} ist fällig für eine Wartung.',
+  'maintenance.chain': 'Kette',
+  'maintenance.tyres': 'Reifen',
+  'maintenance.brakePads': 'Bremsbeläge',
+  'maintenance.cassette': 'Kassette',
+
+  'share.title': 'Fortschritt teilen',
+  'share.image': 'Bild teilen',
+  'share.widgetLink': 'Widget-Link',
+  'share.embed': 'Einbettungscode',
+  'share.copy': 'Kopieren',
+  'share.copied': 'Kopiert',
+  'share.copyFailed': 'Kopieren ist hier nicht erlaubt; der Text ist markiert, sodass du ihn selbst kopieren kannst.',
+  'share.snapshotNote': 'Bild und Widget zeigen den aktuellen Stand; teile erneut, um sie zu aktualisieren.',
+  'widget.invalid': 'Dieser Widget-Link ist unvollständig oder stammt aus einer neueren Version.',
+
+  'export.label': 'Export:',
+  'export.report': 'Bericht',
+  'export.print': 'Drucken',
+
+  'types.title': 'Aktivitätsarten',
+  'types.Cycling': 'Radfahren',
+  'types.Running': 'Laufen',
+  'types.Walking': 'Gehen',
+  'types.Swimming': 'Schwimmen',
+  'types.Other': 'Sonstige',
+
+  'metric.distance': 'Distanz',
+  'metric.elevation': 'Höhenmeter',
+  'metric.movingTime': 'Bewegungszeit',
+  'metric.elapsedTime': 'Gesamtzeit',
+  'metric.count': 'Anzahl Aktivitäten',
+  'unit.activities': 'Aktivitäten',
+  'unit.day': 'Tag',
+
+  'report.title': 'Fortschrittsbericht {year}',
+  'report.generated': 'Erstellt {date}',
+  'report.goal': 'Ziel',
+  'report.progress': 'Fortschritt',
+  'report.expected': 'Erwartet',
+  'report.projected': 'Prognose Jahresende',
+  'report.activities': 'Aktivitäten',
+  'report.month': 'Monat',
+  'report.total': 'Gesamt',
+  'report.target': 'Ziel',
+};
+
+export default de;
@@ -0,0 +1,272 @@
+const en = {
+  'app.title': 'Cycling Challenge Progress Tracker',
+  'app.connecting': 'Connecting to Strava...',
+  'app.connectingDetail': 'Please wait while we process your authorization.',
+  'app.startTracking': 'Start Tracking',
+  'app.withoutStrava': 'Or track without Strava:',
+  'app.poweredByStrava': 'Powered by Strava',
+
+  'sync.lastSynced': 'Last synced {date}',
+  'sync.never': 'Not synced yet',
+  'sync.sync': 'Sync',
+  'sync.fullResync': 'Full resync',
+  'sync.fullResyncHint': 'Re-download all activities of the selected year to pick up edited or deleted rides',
+  'sync.incomplete': 'Sync did not complete, so the totals below may be missing activities.',
+  'sync.offline': 'You are offline. Showing progress as of the last sync on {date}.',
+  'sync.offlineNever': 'You are offline and this year has not been synced yet.',
+  'sync.stale': 'Last synced {date}, so these numbers may be out of date.',
+  'sync.apiUsage': 'Strava API usage: {shortTerm} (15 min), {daily} (day)',
+  'sync.rateLimited': 'The Strava API limit is used up until {date}.',
+  'session.logout': 'Disconnect',
+  'session.logoutHint': 'Log out and revoke this app\'s access to your Strava account',
+  'session.scope.private': 'You did not allow access to all activities, so private and followers-only activities are missing from every total.',
+  'session.scope.none': 'You did not allow access to your activities, so nothing can be synced from Strava.',
+  'session.reconnect': 'Reconnect with access to all activities',
+  'session.loginFailed': 'Connecting to Strava failed: {message}. Please try again.',
+
+  'preferences.units': 'Units',
+  'preferences.language': 'Language',
+  'units.metric': 'Metric (km, m)',
+  'units.imperial': 'Imperial (mi, ft)',
+
+  'common.name': 'Name',
+  'common.metric': 'Metric',
+  'common.save': 'Save',
+  'common.cancel': 'Cancel',
+  'common.noActivities': 'No activities',
+  'common.loading': 'Loading...',
+  'common.calculating': 'Calculating...',
+
+  'goal.add': 'Add goal',
+  'goal.newName': 'New Goal',
+  'goal.edit': 'Edit goal',
+  'goal.remove': 'Remove goal',
+  'goal.yearGoal': '{year} Goal',
+  'goal.projected': 'Projected Year-End',
+
+  'challenge.add': 'Add challenge',
+  'challenge.newName': 'New Challenge',
+  'challenge.edit': 'Edit challenge',
+  'challenge.remove': 'Remove challenge',
+  'challenge.start': 'Start',
+  'challenge.end': 'End',
+  'challenge.target': 'Target',
+  'challenge.upcoming': 'Upcoming',
+  'challenge.finished': 'Finished',
+  'challenge.day': 'Day {day} of {total}',
+  'challenge.projected': 'Projected Finish',
+
+  'team.add': 'Add team goal',
+  'team.newName': 'New Team',
+  'team.edit': 'Edit team goal',
+  'team.remove': 'Remove team goal',
+  'team.refresh': 'Refresh connected athletes',
+  'team.year': 'Year',
+  'team.typesNote': 'Activity types apply to you and connected athletes; imported snapshots bring their own total.',
+  'team.leaderboard': 'Contributions',
+  'team.you': 'You',
+  'team.disconnected': 'logged out, connect again to update',
+  'team.removeMember': 'Remove member',
+  'team.connectAthlete': 'Connect athlete with Strava',
+  'team.addSnapshot': 'Add from widget link',
+  'team.memberName': 'Member name',
+  'team.widgetLink': 'Widget link or embed code',
+  'team.linkError.invalid': 'This is not a progress widget link.',
+  'team.linkError.year': 'This snapshot is not from {year}.',
+  'team.linkError.metric': 'This snapshot measures a different metric than the team goal.',
+
+  'rules.title': 'Counting rules',
+  'rules.count': '{count} counting rules',
+  'rules.count_one': '{count} counting rule',
+  'rules.add': 'Add rule',
+  'rules.remove': 'Remove rule',
+  'rules.action.exclude': 'Exclude',
+  'rules.action.only': 'Only count',
+  'rules.kind.trainer': 'trainer sessions',
+  'rules.kind.commute': 'commutes',
+  'rules.kind.private': 'private activities',
+  'rules.kind.sportType': 'sport type',
+  'rules.kind.shorterThan': 'activities shorter than',
+  'rules.kind.name': 'names matching',
+  'rules.namePlaceholder': 'e.g. zwift|indoor',
+  'rules.preview': 'Preview: {counted} counted, {excluded} excluded',
+  'rules.previewLimit': 'Showing the latest {count}.',
+  'rules.counted': 'Counted',
+  'rules.reason.type': '{type} is not a selected type',
+  'rules.reason.exclude.trainer': 'Trainer session',
+  'rules.reason.exclude.commute': 'Commute',
+  'rules.reason.exclude.private': 'Private',
+  'rules.reason.exclude.sportType': 'Sport type is {value}',
+  'rules.reason.exclude.shorterThan': 'Shorter than {value}',
+  'rules.reason.exclude.name': 'Name matches "{value}"',
+  'rules.reason.only.trainer': 'Not a trainer session',
+  'rules.reason.only.commute': 'Not a commute',
+  'rules.reason.only.private': 'Not private',
+  'rules.reason.only.sportType': 'Sport type is not {value}',
+  'rules.reason.only.shorterThan': 'Not shorter than {value}',
+  'rules.reason.only.name': 'Name does not match "{value}"',
+
+  'progress.progress': 'Progress',
+  'progress.incomplete': 'incomplete',
+  'progress.asOf': 'as of {date}',
+  'progress.expected': 'Expected Progress',
+  'progress.requiredDaily': 'Required Daily',
+
+  'chart.actual': 'Actual',
+  'chart.targetPace': 'Target pace',
+  'chart.projected': 'Projected',
+  'chart.total': 'Total: {value}',
+  'chart.ahead': '{value} ahead of target',
+  'chart.behind': '{value} behind target',
+
+  'breakdown.title': 'Breakdown',
+  'breakdown.monthly': 'Monthly',
+  'breakdown.weekly': 'Weekly',
+
+  'activities.title': 'Activities {year}',
+  'activities.search': 'Search by name',
+  'activities.allTypes': 'All types',
+  'activities.allMonths': 'All months',
+  'activities.allGoals': 'Counted or not',
+  'activities.countedFor': 'Counted for {name}',
+  'activities.count': '{count} activities',
+  'activities.count_one': '{count} activity',
+  'activities.showMore': 'Show {count} more',
+  'activities.openOnStrava': 'View on Strava',
+  'activities.column.date': 'Date',
+  'activities.column.name': 'Name',
+  'activities.column.type': 'Type',
+  'activities.column.distance': 'Distance',
+  'activities.column.movingTime': 'Moving time',
+  'activities.column.elevation': 'Elevation',
+  'activities.column.speed': 'Speed',
+  'activities.column.count': 'Activities',
+  'activities.column.averageSpeed': 'Avg. speed',
+  'activities.column.averageDistance': 'Avg. length',
+  'activities.column.elevationPerDistance': 'Climbing',
+  'activities.column.rolling': '4-week distance',
+  'activities.period.month': 'Month',
+  'activities.period.week': 'Week of',
+  'activities.analytics': 'Analytics',
+  'activities.analyticsNote': 'Covers rides unless you pick a type or goal, and follows the search. The 4-week distance runs up to the end of each period, or today.',
+
+  'planner.title': 'Plan for the rest of {year}',
+  'planner.weekdays': 'Training days',
+  'planner.maxWeekly': 'Maximum per week ({unit})',
+  'planner.noLimit': 'No limit',
+  'planner.blocked': 'Blocked periods',
+  'planner.addBlocked': 'Add holiday or illness',
+  'planner.removeBlocked': 'Remove period',
+  'planner.done': 'Goal reached, nothing left to plan.',
+  'planner.reachable': 'Reachable: about {value} on each of the {days} training days left.',
+  'planner.unreachable': 'Not reachable with these settings: {value} short even at the weekly maximum.',
+  'planner.noDays': 'Not reachable: no training days left this year.',
+  'planner.week': '{value} over {days}',
+  'planner.weekDone': '{value} done',
+  'planner.blockedWeek': 'Blocked',
+  'planner.restWeek': 'Rest',
+
+  'achievements.title': 'Achievements {year}',
+  'achievements.dayStreakLabel': 'Riding streak',
+  'achievements.weekStreakLabel': 'Weeks on target',
+  'achievements.days': '{count} days',
+  'achievements.days_one': '{count} day',
+  'achievements.weeks': '{count} weeks',
+  'achievements.weeks_one': '{count} week',
+  'achievements.best': 'best {value}',
+  'achievements.dayStreak': '{count} days in a row',
+  'achievements.weekStreak': '{count} weeks in a row on target',
+  'achievements.total': 'First {value} of the year',
+  'achievements.goalShare': '{count}% of the goal',
+  'achievements.longest': 'Longest: {name}, {value}',
+  'achievements.biggestWeek': 'Biggest week: {week}, {value}',
+  'achievements.new': 'New',
+  'achievements.newCount': '{count} new achievements',
+  'achievements.newCount_one': '{count} new achievement',
+  'achievements.markSeen': 'Mark as seen',
+  'achievements.empty': 'No achievements yet this year.',
+
+  'comparison.title': 'Year-over-Year',
+  'comparison.subtitle': '{metric} up to {date} of each year',
+  'comparison.empty': 'Select a previous year above to load its activities for comparison.',
+  'comparison.thisYear': '{value} this year',
+  'comparison.fullYear': 'of {value}',
+
+  'pacing.title': 'Pacing',
+  'pacing.linear': 'Linear',
+  'pacing.custom': 'Custom monthly profile',
+  'pacing.learned': 'Learned from previous years',
+  'pacing.linearHint': 'Every day of the year carries the same share of the goal.',
+  'pacing.customHint': 'Relative weight per month, e.g. 2 for a month twice as busy as one weighted 1.',
+  'pacing.noHistory': 'No activities from other years yet, so this goal is paced linearly.',
+
+  'import.importing': 'Importing...',
+  'import.drop': 'Drop GPX, TCX or FIT files here or',
+  'import.choose': 'choose files',
+  'import.summary_one': 'Imported {count} activity.',
+  'import.summary': 'Imported {count} activities.',
+
+  'gear.title': 'Bikes in {year}',
+  'gear.empty': 'No rides with a bike assigned yet. Bike names need the profile permission when connecting Strava.',
+  'gear.retired': 'retired',
+  'gear.lifetime': '{value} in total',
+  'gear.basis': 'Maintenance distance counts the synced activities since each reset.',
+
+  'maintenance.add': 'Add maintenance reminder',
+  'maintenance.component': 'Component',
+  'maintenance.interval': 'Every ({unit})',
+  'maintenance.reset': 'Mark as serviced today',
+  'maintenance.remove': 'Remove reminder',
+  'maintenance.lastServiced': 'Last serviced',
+  'maintenance.incomplete': 'Rides from {years} are not loaded, so the distance since the last service is too low.',
+  'maintenance.loadYears': 'Load them',
+  'maintenance.soon': 'due soon',
+  'maintenance.due': 'due',
+  'maintenance.dueWarning': '{name} on {bike} is due for maintenance.',
+  'maintenance.chain': 'Chain',
+  'maintenance.tyres': 'Tyres',
+  'maintenance.brakePads': 'Brake pads',
+  'maintenance.cassette': 'Cassette',
+
+  'share.title': 'Share progress',
+  'share.image': 'Share image',
+  'share.widgetLink': 'Widget link',
+  'share.embed': 'Embed code',
+  'share.copy': 'Copy',
+  'share.copied': 'Copied',
+  'share.copyFailed': 'Copying is not allowed here; the text is selected so you can copy it yourself.',
+  'share.snapshotNote': 'The image and widget show your progress as of now; share again to update them.',
+  'widget.invalid': 'This progress widget link is incomplete or from a newer version of the tracker.',
+
+  'export.label': 'Export:',
+  'export.report': 'Report',
+  'export.print': 'Print',
+
+  'types.title': 'Activity Types',
+  'types.Cycling': 'Cycling',
+  'types.Running': 'Running',
+  'types.Walking': 'Walking',
+  'types.Swimming': 'Swimming',
+  'types.Other': 'Other',
+
+  'metric.distance': 'Distance',
+  'metric.elevation': 'Elevation Gain',
+  'metric.movingTime': 'Moving Time',
+  'metric.elapsedTime': 'Elapsed Time',
+  'metric.count': 'Activity Count',
+  'unit.activities': 'activities',
+  'unit.day': 'day',
+
+  'report.title': '{year} Progress Report',
+  'report.generated': 'Generated {date}',
+  'report.goal': 'Goal',
+  'report.progress': 'Progress',
+  'report.expected': 'Expected',
+  'report.projected': 'Projected Year-End',
+  'report.activities': 'Activities',
+  'report.month': 'Month',
+  'report.total': 'Total',
+  'report.target': 'Target',
+};
+
+export default en;
@@ -0,0 +1,51 @@
+// UI strings and locale-aware number and date formatting. Messages are looked
+// up by key, fall back to English, and fill `{name}` placeholders from params;
+// a `_one` variant of a key is used when `params.count` is 1.
+
+import en from './en';
+import de from './de';
+
+const MESSAGES = { en, de };
+
+export const LANGUAGES = {
+  en: 'English',
+  de: 'Deutsch',
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const translate = (language, key, params = {}) => {
+  const messages = MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
+  const pluralKey = params.count === 1 ? `${key}_one` : key;
+  const message = messages[pluralKey] ?? messages[key] ?? en[pluralKey] ?? en[key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+};
+
+// The browser's regional variant when it speaks the language, e.g. en-GB
+// dates for an English UI in the UK.
+export const toLocale = (language) => {
+  const browserLocale = typeof navigator !== 'undefined' ? navigator.language : undefined;
+  return browserLocale && browserLocale.split('-')[0] === language ? browserLocale : language;
+};
+
+const numberFormats = new Map();
+
+const numberFormat = (language, options) => {
+  const locale = toLocale(language);
+  const cacheKey = `${locale}:${JSON.stringify(options)}`;
+  if (!numberFormats.has(cacheKey)) numberFormats.set(cacheKey, new Intl.NumberFormat(locale, options));
+  return numberFormats.get(cacheKey);
+};
+
+export const formatNumber = (language, value, digits = 0) =>
+  numberFormat(language, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+
+// `percent` is 0-100, as the progress calculations return it.
+export const formatPercent = (language, percent, digits = 1) =>
+  numberFormat(language, { style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits })
+    .format(percent / 100);
+
+export const formatDate = (language, date, options) =>
+  date.toLocaleDateString(toLocale(language), options);
+
+export const formatDateTime = (language, date) => date.toLocaleString(toLocale(language));
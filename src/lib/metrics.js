@@ -0,0 +1,97 @@
+// The quantities a goal can be measured in. `value` reads one activity's
+// contribution in the metric's base unit (km, m, hours or a count); goals,
+// challenges and totals are stored in that unit and only converted for display.
+
+import { DEFAULT_LANGUAGE, formatNumber, translate } from './i18n';
+
+const MILES_PER_KM = 1 / 1.609344;
+const FEET_PER_METER = 1 / 0.3048;
+
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+export const DEFAULT_UNITS = 'metric';
+
+// `units` maps each unit system to the displayed unit and its factor from
+// the base unit; a null unit is translated instead (e.g. "activities").
+export const METRICS = {
+  distance: {
+    value: (activity) => (activity.distance || 0) / 1000,
+    units: { metric: ['km', 1], imperial: ['mi', MILES_PER_KM] },
+    digits: 1,
+    rateDigits: 1,
+  },
+  elevation: {
+    value: (activity) => activity.total_elevation_gain || 0,
+    units: { metric: ['m', 1], imperial: ['ft', FEET_PER_METER] },
+    digits: 0,
+    rateDigits: 0,
+  },
+  movingTime: {
+    value: (activity) => (activity.moving_time || 0) / 3600,
+    units: { metric: ['h', 1], imperial: ['h', 1] },
+    digits: 1,
+    isDuration: true,
+  },
+  elapsedTime: {
+    value: (activity) => (activity.elapsed_time || 0) / 3600,
+    units: { metric: ['h', 1], imperial: ['h', 1] },
+    digits: 1,
+    isDuration: true,
+  },
+  count: {
+    value: () => 1,
+    units: { metric: [null, 1], imperial: [null, 1] },
+    digits: 0,
+    rateDigits: 2,
+  },
+};
+
+export const DEFAULT_METRIC = 'distance';
+
+const formatHours = (hours) => {
+  const totalMinutes = Math.round(hours * 60);
+  return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+};
+
+const buildMetric = (key, units, language) => {
+  const { value, units: unitSystems, digits, rateDigits, isDuration } = METRICS[key];
+  const [unitSymbol, factor] = unitSystems[units] || unitSystems[DEFAULT_UNITS];
+  const unit = unitSymbol || translate(language, 'unit.activities');
+  const perDay = translate(language, 'unit.day');
+  const toDisplay = (base) => base * factor;
+
+  return {
+    key,
+    label: translate(language, `metric.${key}`),
+    unit,
+    value,
+    toDisplay,
+    format: (base) => `${formatNumber(language, toDisplay(base), digits)} ${unit}`,
+    formatRate: (base) => (isDuration
+      ? `${formatHours(base)}/${perDay}`
+      : `${formatNumber(language, toDisplay(base), rateDigits)} ${unit}/${perDay}`),
+    // Whole display units for number inputs, and back to the base unit.
+    // Unchanged input keeps `previous` so switching units does not drift it.
+    toInput: (base) => Math.round(toDisplay(base)),
+    fromInput: (input, previous) => {
+      const displayed = parseFloat(input) || 0;
+      if (previous !== undefined && Math.round(toDisplay(previous)) === displayed) return previous;
+      return displayed / factor;
+    },
+  };
+};
+
+// Metric objects are cached so components can use them as memo dependencies.
+const metricCache = new Map();
+
+export const getMetric = (key, { units = DEFAULT_UNITS, language = DEFAULT_LANGUAGE } = {}) => {
+  const metricKey = METRICS[key] ? key : DEFAULT_METRIC;
+  const cacheKey = `${metricKey}:${units}:${language}`;
+  if (!metricCache.has(cacheKey)) metricCache.set(cacheKey, buildMetric(metricKey, units, language));
+  return metricCache.get(cacheKey);
+};
+
+export const sumMetric = (activities, key) => {
+  const metric = getMetric(key);
+  return activities.reduce((sum, activity) => sum + metric.value(activity), 0);
+};
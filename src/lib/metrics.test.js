@@ -0,0 +1,28 @@
+import { getMetric } from './metrics';
+import { translate } from './i18n';
+
+const ride = { distance: 160934.4, total_elevation_gain: 1000 };
+
+test('formats metrics in the chosen unit system and language', () => {
+  const miles = getMetric('distance', { units: 'imperial', language: 'en' });
+  expect(miles.format(miles.value(ride))).toBe('100.0 mi');
+
+  const feet = getMetric('elevation', { units: 'imperial', language: 'de' });
+  expect(feet.format(feet.value(ride))).toBe('3.281 ft');
+
+  const count = getMetric('count', { units: 'metric', language: 'de' });
+  expect(count.formatRate(0.5)).toBe('0,50 Aktivitäten/Tag');
+});
+
+test('converts goal inputs back to base units without drifting unchanged targets', () => {
+  const miles = getMetric('distance', { units: 'imperial', language: 'en' });
+  expect(miles.toInput(5000)).toBe(3107);
+  expect(miles.fromInput('3107', 5000)).toBe(5000);
+  expect(miles.fromInput('100')).toBeCloseTo(160.9344);
+});
+
+test('translates with placeholders, plurals and an English fallback', () => {
+  expect(translate('de', 'challenge.day', { day: 3, total: 8 })).toBe('Tag 3 von 8');
+  expect(translate('en', 'import.summary', { count: 1 })).toBe('Imported 1 activity.');
+  expect(translate('fr', 'sync.sync')).toBe('Sync');
+});
@@ -0,0 +1,60 @@
+// Pacing models decide how a year goal is expected to accrue over the year.
+// Each model yields one weight per day of the year, summing to 1, which the
+// expected-progress, required-daily and chart calculations follow.
+
+import { MONTHS, activityDate, daysInYear } from './dates';
+
+const STORAGE_KEY = 'pacing';
+
+export const PACING_MODELS = ['linear', 'custom', 'learned'];
+
+export const DEFAULT_PACING = {
+  model: 'linear',
+  monthlyWeights: MONTHS.map(() => 1),
+};
+
+export const loadPacing = () => {
+  try {
+    return { ...DEFAULT_PACING, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch (error) {
+    console.error('Error reading pacing settings:', error);
+    return DEFAULT_PACING;
+  }
+};
+
+export const savePacing = (pacing) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(pacing));
+};
+
+// Share of the total per month from the given activities, or null when they
+// cover nothing to learn from.
+export const learnMonthlyWeights = (activities, metric) => {
+  const totals = MONTHS.map(() => 0);
+  activities.forEach((activity) => {
+    totals[activityDate(activity).getMonth()] += metric.value(activity);
+  });
+  return totals.some((total) => total > 0) ? totals : null;
+};
+
+const linearWeights = (year) => {
+  const days = daysInYear(year);
+  return Array.from({ length: days }, () => 1 / days);
+};
+
+// Spreads each month's weight evenly over its days and normalizes to 1.
+const spreadMonthly = (year, monthlyWeights) => {
+  const weights = [];
+  monthlyWeights.forEach((weight, month) => {
+    const days = new Date(year, month + 1, 0).getDate();
+    for (let day = 0; day < days; day++) weights.push(Math.max(weight, 0) / days);
+  });
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+  return sum > 0 ? weights.map((weight) => weight / sum) : linearWeights(year);
+};
+
+// Falls back to linear when the learned model has no history yet.
+export const dailyWeights = (year, pacing, learnedWeights) => {
+  if (pacing.model === 'custom') return spreadMonthly(year, pacing.monthlyWeights);
+  if (pacing.model === 'learned' && learnedWeights) return spreadMonthly(year, learnedWeights);
+  return linearWeights(year);
+};
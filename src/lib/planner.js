@@ -0,0 +1,108 @@
+// Plans the rest of a year goal week by week around the days the athlete can
+// actually train: preferred weekdays, blocked periods such as holidays or
+// illness, and a maximum weekly volume.
+
+import { activityDate, dayOfYear, parseDate } from './dates';
+import { dateOfDay, weeksOfYear } from './series';
+
+const STORAGE_KEY = 'planner';
+
+// Weekdays count from Monday (0) to Sunday (6). `blocked` periods have
+// inclusive 'YYYY-MM-DD' `start` and `end` dates; `maxWeekly` holds a cap per
+// goal id in the goal metric's base unit.
+export const DEFAULT_PLANNER = {
+  weekdays: [0, 1, 2, 3, 4, 5, 6],
+  blocked: [],
+  maxWeekly: {},
+};
+
+export const loadPlanner = () => {
+  try {
+    return { ...DEFAULT_PLANNER, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch (error) {
+    console.error('Error reading planner settings:', error);
+    return DEFAULT_PLANNER;
+  }
+};
+
+export const savePlanner = (planner) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(planner));
+};
+
+export const createBlockedPeriod = (start, end) => ({ id: `blocked-${Date.now()}`, start, end });
+
+export const weekdayOf = (date) => (date.getDay() + 6) % 7;
+
+const isBlocked = (date, blocked) =>
+  blocked.some((period) => date >= parseDate(period.start) && date <= parseDate(period.end));
+
+// Spreads `remaining` evenly over the training days, filling weeks whose cap
+// is lower than their even share up to the cap and moving the rest to the
+// others. Returns the per-day load of the uncapped weeks, or null when the
+// caps cannot hold it all.
+const levelLoad = (weeks, remaining) => {
+  let left = remaining;
+  let days = weeks.reduce((sum, week) => sum + week.trainingDays, 0);
+  const bySaturation = [...weeks].sort((a, b) => a.capacity / a.trainingDays - b.capacity / b.trainingDays);
+  for (const week of bySaturation) {
+    if (week.capacity / week.trainingDays > left / days) break;
+    left -= week.capacity;
+    days -= week.trainingDays;
+  }
+  if (days === 0) return left > 1e-9 ? null : 0;
+  return left / days;
+};
+
+// The plan from today to the end of `year`: one entry per remaining week with
+// its training days, what is already `done` in it up to today, the `planned`
+// rest and its `capacity` under the weekly cap. `total` is the goal's total so
+// far and `activities` its activities in `year`.
+export const planYear = ({ year, target, total, activities, metric, planner, maxWeekly, now = new Date() }) => {
+  const today = year === now.getFullYear() ? dayOfYear(now) - 1 : 0;
+  const remaining = Math.max(target - total, 0);
+  const cap = maxWeekly > 0 ? maxWeekly : Infinity;
+
+  const doneByDay = {};
+  activities.forEach((activity) => {
+    const dayIndex = dayOfYear(activityDate(activity)) - 1;
+    doneByDay[dayIndex] = (doneByDay[dayIndex] || 0) + metric.value(activity);
+  });
+
+  const weeks = weeksOfYear(year)
+    .filter(({ dayIndexes }) => dayIndexes[dayIndexes.length - 1] >= today)
+    .map(({ start, dayIndexes }) => {
+      const upcoming = dayIndexes.filter((dayIndex) => dayIndex >= today);
+      const trainingDays = upcoming.filter((dayIndex) => {
+        const date = dateOfDay(year, dayIndex);
+        return planner.weekdays.includes(weekdayOf(date)) && !isBlocked(date, planner.blocked);
+      }).length;
+      const done = dayIndexes
+        .filter((dayIndex) => dayIndex <= today)
+        .reduce((sum, dayIndex) => sum + (doneByDay[dayIndex] || 0), 0);
+      return {
+        start,
+        trainingDays,
+        isBlocked: upcoming.every((dayIndex) => isBlocked(dateOfDay(year, dayIndex), planner.blocked)),
+        done,
+        capacity: trainingDays > 0 ? Math.max(cap - done, 0) : 0,
+      };
+    });
+
+  const open = weeks.filter((week) => week.trainingDays > 0 && week.capacity > 0);
+  const perDay = levelLoad(open, remaining);
+  const isReachable = perDay !== null;
+  const planned = (week) => {
+    if (week.trainingDays === 0 || week.capacity === 0) return 0;
+    return isReachable ? Math.min(week.trainingDays * perDay, week.capacity) : week.capacity;
+  };
+  const capacity = open.reduce((sum, week) => sum + week.capacity, 0);
+
+  return {
+    remaining,
+    isReachable,
+    perDay: isReachable ? perDay : null,
+    shortfall: isReachable ? 0 : remaining - capacity,
+    trainingDays: open.reduce((sum, week) => sum + week.trainingDays, 0),
+    weeks: weeks.map((week) => ({ ...week, planned: planned(week) })),
+  };
+};
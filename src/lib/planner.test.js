@@ -0,0 +1,39 @@
+import { DEFAULT_PLANNER, planYear } from './planner';
+import { getMetric } from './metrics';
+
+const metric = getMetric('distance');
+// Monday 2 December 2024: five weeks left, the last one Monday to Tuesday
+const now = new Date(2024, 11, 2, 9);
+const plan = (planner, { total = 0, maxWeekly, activities = [] } = {}) =>
+  planYear({ year: 2024, target: total + 300, total, activities, metric, planner, maxWeekly, now });
+
+test('spreads the rest of the goal over the training days left', () => {
+  const result = plan({ ...DEFAULT_PLANNER, weekdays: [5, 6] });
+  expect(result.weeks.map((week) => week.trainingDays)).toEqual([2, 2, 2, 2, 0]);
+  expect(result.perDay).toBeCloseTo(300 / 8);
+  expect(result.weeks.map((week) => week.planned)).toEqual([75, 75, 75, 75, 0]);
+});
+
+test('skips blocked periods and moves what a weekly cap cannot hold', () => {
+  const planner = { ...DEFAULT_PLANNER, weekdays: [5, 6], blocked: [{ id: 'x', start: '2024-12-16', end: '2024-12-22' }] };
+  const result = plan(planner, { maxWeekly: 120 });
+  expect(result.weeks.map((week) => [week.trainingDays, week.isBlocked, week.planned])).toEqual([
+    [2, false, 100],
+    [2, false, 100],
+    [0, true, 0],
+    [2, false, 100],
+    [0, false, 0],
+  ]);
+
+  // This week already has 50 of its 120
+  const ride = { start_date: '2024-12-02T08:00:00Z', distance: 50000 };
+  const capped = plan(planner, { total: 50, maxWeekly: 120, activities: [ride] });
+  expect(capped.weeks[0]).toMatchObject({ done: 50, capacity: 70, planned: 70 });
+  expect(capped.weeks[1].planned).toBeCloseTo(115);
+});
+
+test('reports how much is out of reach', () => {
+  const result = plan({ ...DEFAULT_PLANNER, weekdays: [6] }, { maxWeekly: 50 });
+  expect(result).toMatchObject({ isReachable: false, shortfall: 100 });
+  expect(plan({ ...DEFAULT_PLANNER, weekdays: [] })).toMatchObject({ isReachable: false, trainingDays: 0, shortfall: 300 });
+});
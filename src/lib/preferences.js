@@ -0,0 +1,29 @@
+// Display preferences: the unit system and the UI language. Defaults follow
+// the browser until the user picks something.
+
+import { DEFAULT_LANGUAGE, LANGUAGES } from './i18n';
+import { DEFAULT_UNITS } from './metrics';
+
+const STORAGE_KEY = 'preferences';
+
+const detectPreferences = () => {
+  const locale = (typeof navigator !== 'undefined' && navigator.language) || DEFAULT_LANGUAGE;
+  const language = locale.split('-')[0];
+  return {
+    units: locale === 'en-US' ? 'imperial' : DEFAULT_UNITS,
+    language: LANGUAGES[language] ? language : DEFAULT_LANGUAGE,
+  };
+};
+
+export const loadPreferences = () => {
+  try {
+    return { ...detectPreferences(), ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch (error) {
+    console.error('Error reading preferences:', error);
+    return detectPreferences();
+  }
+};
+
+export const savePreferences = (preferences) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+};
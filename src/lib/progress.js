@@ -0,0 +1,57 @@
+// Goal progress figures shared by the goal and challenge cards and the reports.
+
+import { daysBetween, daysInYear, elapsedDaysInYear } from './dates';
+
+const sumRange = (values, from, to) =>
+  values.slice(from, to).reduce((sum, value) => sum + value, 0);
+
+// Progress over a window of `totalDays` days of which `elapsedDays` have passed.
+// `weights` (one per day, summing to 1) shape how the target is expected to
+// accrue; without them it accrues evenly.
+export const computeWindowProgress = ({ total, target, elapsedDays, totalDays, weights }) => {
+  const expectedShare = weights
+    ? sumRange(weights, 0, elapsedDays)
+    : totalDays > 0 ? elapsedDays / totalDays : 0;
+  const remainingShare = 1 - expectedShare;
+  const nextDayShare = weights ? weights[elapsedDays] || 0 : totalDays > 0 ? 1 / totalDays : 0;
+
+  const percentComplete = target > 0 ? (total / target) * 100 : 0;
+  const expectedProgress = expectedShare * 100;
+  const expected = target > 0 ? (target / 100) * expectedProgress : 0;
+  const projected = expectedShare > 0 ? total / expectedShare : 0;
+  const remaining = target - total;
+  const remainingDays = totalDays - elapsedDays;
+  // What the coming day has to contribute if the rest of the target follows the pace
+  const requiredDaily = remainingDays > 0 && remainingShare > 0 ? (remaining * nextDayShare) / remainingShare : 0;
+
+  return {
+    elapsedDays,
+    totalDays,
+    percentComplete,
+    expectedProgress,
+    expected,
+    projected,
+    remaining,
+    remainingDays,
+    requiredDaily,
+  };
+};
+
+// Progress over the calendar year; `dayOfYear` and `daysInYear` name the window.
+export const computeProgress = ({ total, target, year, weights, now = new Date() }) => {
+  const progress = computeWindowProgress({
+    total,
+    target,
+    elapsedDays: elapsedDaysInYear(year, now),
+    totalDays: daysInYear(year),
+    weights,
+  });
+  return { ...progress, dayOfYear: progress.elapsedDays, daysInYear: progress.totalDays };
+};
+
+// Progress over the inclusive date range [start, end], both local dates.
+export const computeRangeProgress = ({ total, target, start, end, now = new Date() }) => {
+  const totalDays = daysBetween(start, end) + 1;
+  const elapsedDays = Math.min(Math.max(daysBetween(start, now) + 1, 0), totalDays);
+  return computeWindowProgress({ total, target, elapsedDays, totalDays });
+};
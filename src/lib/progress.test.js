@@ -0,0 +1,160 @@
+// The tests run in Europe/Berlin (see src/testTimezone.js): clocks go forward
+// on 31 March 2024 and back on 27 October 2024.
+
+import { computeProgress, computeRangeProgress, computeWindowProgress } from './progress';
+import {
+  activityDate,
+  activityYear,
+  dayOfYear,
+  daysBetween,
+  daysInYear,
+  elapsedDaysInYear,
+  isOnOrBeforeMonthDay,
+  yearFetchRange,
+} from './dates';
+import { bucketByDay } from './series';
+
+const DAY_S = 24 * 60 * 60;
+
+describe('calendar', () => {
+  test('knows leap years', () => {
+    expect([2023, 2024, 1900, 2000].map(daysInYear)).toEqual([365, 366, 365, 366]);
+  });
+
+  test('counts days of the year across DST changes', () => {
+    expect(dayOfYear(new Date(2024, 0, 1, 0, 0))).toBe(1);
+    expect(dayOfYear(new Date(2024, 2, 31, 0, 30))).toBe(91);
+    expect(dayOfYear(new Date(2024, 3, 1, 0, 30))).toBe(92);
+    expect(dayOfYear(new Date(2024, 9, 27, 23, 30))).toBe(301);
+    expect(dayOfYear(new Date(2024, 11, 31, 23, 59))).toBe(366);
+    expect(dayOfYear(new Date(2023, 11, 31, 23, 59))).toBe(365);
+  });
+
+  test('counts whole days between dates across DST changes', () => {
+    expect(daysBetween(new Date(2024, 2, 30, 23), new Date(2024, 3, 1, 0, 30))).toBe(2);
+    expect(daysBetween(new Date(2024, 9, 26), new Date(2024, 9, 28, 23, 59))).toBe(2);
+    expect(daysBetween(new Date(2024, 0, 1), new Date(2025, 0, 1))).toBe(366);
+  });
+
+  test('runs the elapsed days up to today, or over the whole of a past year', () => {
+    const now = new Date(2024, 2, 31, 0, 30);
+    expect(elapsedDaysInYear(2024, now)).toBe(91);
+    expect(elapsedDaysInYear(2023, now)).toBe(365);
+    expect(elapsedDaysInYear(2025, now)).toBe(0);
+  });
+
+  test('compares years by month and day rather than day number', () => {
+    const leapDay = new Date(2024, 1, 29);
+    expect(isOnOrBeforeMonthDay(new Date(2023, 1, 28), leapDay)).toBe(true);
+    expect(isOnOrBeforeMonthDay(new Date(2023, 2, 1), leapDay)).toBe(false);
+    // Day 61 is 1 March in 2024 but 2 March in 2023
+    const marchFirst = new Date(2024, 2, 1);
+    expect(isOnOrBeforeMonthDay(new Date(2023, 2, 1, 18), marchFirst)).toBe(true);
+    expect(isOnOrBeforeMonthDay(new Date(2023, 2, 2), marchFirst)).toBe(false);
+  });
+
+  test('fetches a day into the neighbouring years', () => {
+    const { after, before } = yearFetchRange(2024);
+    expect(after).toBe(new Date(2024, 0, 1).getTime() / 1000 - DAY_S);
+    expect(before).toBe(new Date(2025, 0, 1).getTime() / 1000 + DAY_S);
+  });
+});
+
+describe('activity dates', () => {
+  // New Year's Eve in Los Angeles is already New Year's morning in Berlin
+  const laNewYearsEve = { start_date: '2024-01-01T04:00:00Z', start_date_local: '2023-12-31T20:00:00Z' };
+  // Just after midnight in Tokyo is still the previous afternoon in Berlin
+  const tokyoNewYear = { start_date: '2023-12-31T15:30:00Z', start_date_local: '2024-01-01T00:30:00Z' };
+
+  test('places activities by their local start date', () => {
+    expect(activityYear(laNewYearsEve)).toBe(2023);
+    expect(activityYear(tokyoNewYear)).toBe(2024);
+    expect(activityDate(tokyoNewYear)).toEqual(new Date(2024, 0, 1, 0, 30));
+  });
+
+  test('falls back to the UTC start without a local one', () => {
+    expect(activityDate({ start_date: '2024-06-01T10:00:00Z' })).toEqual(new Date('2024-06-01T10:00:00Z'));
+  });
+
+  test('buckets by the local start day, including DST days and 29 February', () => {
+    const days = bucketByDay(
+      [
+        laNewYearsEve,
+        tokyoNewYear,
+        { start_date: '2024-02-29T06:00:00Z', start_date_local: '2024-02-29T07:00:00Z' },
+        { start_date: '2024-03-30T23:30:00Z', start_date_local: '2024-03-31T00:30:00Z' },
+        { start_date: '2024-10-27T21:30:00Z', start_date_local: '2024-10-27T22:30:00Z' },
+        { start_date: '2024-12-31T22:00:00Z', start_date_local: '2024-12-31T23:00:00Z' },
+      ],
+      2024
+    );
+    expect(days).toHaveLength(366);
+    const filled = days.flatMap((activities, index) => (activities.length ? [[index, activities.length]] : []));
+    expect(filled).toEqual([[0, 1], [59, 1], [90, 1], [300, 1], [365, 1]]);
+  });
+});
+
+describe('progress', () => {
+  test('works out expected, projected and required daily over an even window', () => {
+    expect(computeWindowProgress({ total: 500, target: 1000, elapsedDays: 100, totalDays: 200 })).toEqual({
+      elapsedDays: 100,
+      totalDays: 200,
+      percentComplete: 50,
+      expectedProgress: 50,
+      expected: 500,
+      projected: 1000,
+      remaining: 500,
+      remainingDays: 100,
+      requiredDaily: 5,
+    });
+  });
+
+  test('follows the pacing weights', () => {
+    // Four days carrying 10%, 20%, 30% and 40% of the target
+    const progress = computeWindowProgress({
+      total: 300, target: 1000, elapsedDays: 2, totalDays: 4, weights: [0.1, 0.2, 0.3, 0.4],
+    });
+    expect(progress.expectedProgress).toBeCloseTo(30);
+    expect(progress.expected).toBeCloseTo(300);
+    expect(progress.projected).toBeCloseTo(1000);
+    // The next day carries 3/7 of what is left
+    expect(progress.requiredDaily).toBeCloseTo((700 * 0.3) / 0.7);
+  });
+
+  test('needs nothing more once the target is met or the window is over', () => {
+    expect(computeWindowProgress({ total: 900, target: 1000, elapsedDays: 10, totalDays: 10 }).requiredDaily).toBe(0);
+    expect(computeWindowProgress({ total: 0, target: 0, elapsedDays: 0, totalDays: 10 })).toMatchObject({
+      percentComplete: 0,
+      expected: 0,
+      projected: 0,
+    });
+  });
+
+  test('measures the calendar year, leap days included', () => {
+    const now = new Date(2024, 2, 31, 0, 30);
+    const progress = computeProgress({ total: 1000, target: 3660, year: 2024, now });
+    expect(progress).toMatchObject({ dayOfYear: 91, daysInYear: 366, remainingDays: 275 });
+    expect(progress.expected).toBeCloseTo(910);
+    expect(progress.requiredDaily).toBeCloseTo(2660 / 275);
+
+    expect(computeProgress({ total: 3000, target: 3650, year: 2023, now })).toMatchObject({
+      dayOfYear: 365,
+      projected: 3000,
+      requiredDaily: 0,
+    });
+    expect(computeProgress({ total: 0, target: 3650, year: 2025, now })).toMatchObject({
+      dayOfYear: 0,
+      expected: 0,
+      projected: 0,
+    });
+  });
+
+  test('counts the days of a date range across the clock change', () => {
+    const range = { start: new Date(2024, 2, 25), end: new Date(2024, 3, 7) };
+    const progress = computeRangeProgress({ total: 0, target: 140, ...range, now: new Date(2024, 3, 1, 0, 30) });
+    expect(progress).toMatchObject({ totalDays: 14, elapsedDays: 8 });
+    expect(progress.expected).toBeCloseTo(80);
+    expect(computeRangeProgress({ total: 0, target: 140, ...range, now: new Date(2024, 2, 1) }).elapsedDays).toBe(0);
+    expect(computeRangeProgress({ total: 0, target: 140, ...range, now: new Date(2024, 4, 1) }).elapsedDays).toBe(14);
+  });
+});
@@ -0,0 +1,58 @@
+// Counting rules narrow down what a goal, challenge or team counts beyond its
+// activity types, e.g. no trainer sessions or only commutes. A rule either
+// excludes the activities matching its condition or counts only those.
+
+export const RULE_KINDS = ['trainer', 'commute', 'private', 'sportType', 'shorterThan', 'name'];
+
+export const RULE_ACTIONS = ['exclude', 'only'];
+
+// Kinds that compare against a `value`: a sport type, a distance in km or a
+// name pattern.
+export const RULE_DEFAULTS = { sportType: 'VirtualRide', shorterThan: 5, name: '' };
+
+let ruleCount = 0;
+const ruleId = () => {
+  ruleCount += 1;
+  return `rule-${Date.now()}-${ruleCount}`;
+};
+
+// `id` keys the rule's row in the editor; it stays when the kind changes.
+export const createRule = (kind = 'trainer') => ({
+  id: ruleId(),
+  kind,
+  action: 'exclude',
+  ...(kind in RULE_DEFAULTS && { value: RULE_DEFAULTS[kind] }),
+});
+
+// Rules saved before they had ids get one.
+export const withRuleId = (rule) => (rule.id ? rule : { ...rule, id: ruleId() });
+
+// A pattern that is not a valid regular expression matches as plain text.
+export const namePattern = (value) => {
+  try {
+    return new RegExp(value, 'i');
+  } catch (error) {
+    return new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  }
+};
+
+// Rules are replaced rather than changed, so each one's pattern is compiled once
+const compiledPatterns = new WeakMap();
+const compiledPattern = (rule) => {
+  if (!compiledPatterns.has(rule)) compiledPatterns.set(rule, namePattern(rule.value));
+  return compiledPatterns.get(rule);
+};
+
+const CONDITIONS = {
+  trainer: (activity) => Boolean(activity.trainer),
+  commute: (activity) => Boolean(activity.commute),
+  private: (activity) => Boolean(activity.private),
+  sportType: (activity, value) => (activity.sport_type || activity.type) === value,
+  shorterThan: (activity, value) => (activity.distance || 0) / 1000 < value,
+  name: (activity, value, rule) => compiledPattern(rule).test(activity.name || ''),
+};
+
+// The first rule that keeps `activity` from counting, or undefined. A name
+// rule without a pattern is not applied yet.
+export const failedRule = (activity, rules = []) => rules.find((rule) =>
+  (rule.kind !== 'name' || rule.value) && (rule.action === 'exclude') === CONDITIONS[rule.kind](activity, rule.value, rule));
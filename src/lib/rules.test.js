@@ -0,0 +1,35 @@
+import { explainMatch } from './goals';
+import { createRule, failedRule, withRuleId } from './rules';
+
+const ride = (fields) => ({ type: 'Ride', sport_type: 'Ride', name: 'Morning Ride', distance: 30000, ...fields });
+
+test('excludes or only counts activities matching a rule', () => {
+  const noTrainer = [createRule('trainer')];
+  expect(failedRule(ride({ trainer: true }), noTrainer)).toBe(noTrainer[0]);
+  expect(failedRule(ride({ trainer: false }), noTrainer)).toBeUndefined();
+
+  const onlyCommutes = [{ ...createRule('commute'), action: 'only' }];
+  expect(failedRule(ride({ commute: false }), onlyCommutes)).toBe(onlyCommutes[0]);
+  expect(failedRule(ride({ commute: true }), onlyCommutes)).toBeUndefined();
+
+  expect(failedRule(ride({ distance: 4000 }), [createRule('shorterThan')])).toBeDefined();
+  expect(failedRule(ride({ sport_type: 'EBikeRide' }), [{ ...createRule('sportType'), value: 'EBikeRide' }])).toBeDefined();
+  expect(failedRule(ride({ name: 'Zwift - Watopia' }), [{ ...createRule('name'), value: 'zwift|indoor' }])).toBeDefined();
+  // Invalid patterns match as text, empty ones are not applied yet
+  expect(failedRule(ride({ name: 'Loop (short' }), [{ ...createRule('name'), value: '(short' }])).toBeDefined();
+  expect(failedRule(ride(), [{ ...createRule('name'), action: 'only' }])).toBeUndefined();
+});
+
+test('explains why an activity is not counted', () => {
+  const goal = { types: ['Ride'], rules: [createRule('trainer')] };
+  expect(explainMatch(ride(), goal)).toEqual({ counted: true });
+  expect(explainMatch(ride({ type: 'Run', sport_type: 'Run' }), goal)).toEqual({ counted: false, reason: 'type' });
+  expect(explainMatch(ride({ trainer: true }), goal)).toEqual({ counted: false, reason: 'rule', rule: goal.rules[0] });
+});
+
+test('gives every rule its own id', () => {
+  const [first, second] = [createRule('shorterThan'), createRule('shorterThan')];
+  expect(first.id).not.toBe(second.id);
+  expect(withRuleId(first)).toBe(first);
+  expect(withRuleId({ kind: 'trainer', action: 'exclude' }).id).toEqual(expect.any(String));
+});
@@ -0,0 +1,51 @@
+// Day-by-day series over one calendar year, used by the charts.
+
+import { activityDate, dayOfYear, daysInYear } from './dates';
+
+// One entry per day of `year`, each holding the activities that started that day.
+export const bucketByDay = (activities, year) => {
+  const days = Array.from({ length: daysInYear(year) }, () => []);
+  activities.forEach((activity) => {
+    const date = activityDate(activity);
+    if (date.getFullYear() === year) days[dayOfYear(date) - 1].push(activity);
+  });
+  return days;
+};
+
+export const cumulativeSum = (values) => {
+  let sum = 0;
+  return values.map((value) => (sum += value));
+};
+
+export const dateOfDay = (year, dayIndex) => new Date(year, 0, dayIndex + 1);
+
+const daysOfYear = (year) => Array.from({ length: daysInYear(year) }, (_, dayIndex) => dateOfDay(year, dayIndex));
+
+// Monday of the week containing `date`, at local midnight.
+export const startOfWeek = (date) => {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return monday;
+};
+
+// Weeks (Monday to Sunday) overlapping `year`, each with the day indexes of
+// `year` it covers, so partial first and last weeks stay inside the year.
+export const weeksOfYear = (year) => {
+  const weeks = [];
+  daysOfYear(year).forEach((date, dayIndex) => {
+    const start = startOfWeek(date);
+    const last = weeks[weeks.length - 1];
+    if (last && last.start.getTime() === start.getTime()) {
+      last.dayIndexes.push(dayIndex);
+    } else {
+      weeks.push({ start, dayIndexes: [dayIndex] });
+    }
+  });
+  return weeks;
+};
+
+export const monthsOfYear = (year) => {
+  const months = Array.from({ length: 12 }, (_, month) => ({ start: new Date(year, month, 1), dayIndexes: [] }));
+  daysOfYear(year).forEach((date, dayIndex) => months[date.getMonth()].dayIndexes.push(dayIndex));
+  return months;
+};
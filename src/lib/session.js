@@ -0,0 +1,89 @@
+// The Strava login kept in localStorage, shared by every open tab. Tokens are
+// refreshed a few minutes before they expire, under a lock so that two tabs
+// do not both spend the same refresh token, and the other tabs pick up the
+// result through storage events.
+
+const STORAGE_KEYS = {
+  accessToken: 'stravaAccessToken',
+  refreshToken: 'stravaRefreshToken',
+  expiresAt: 'stravaTokenExpiresAt',
+  scope: 'stravaTokenScope',
+};
+const REFRESH_LOCK = 'strava-token-refresh';
+// Refresh this long before `expires_at` so a sync never starts on a dying token
+const REFRESH_MARGIN_S = 5 * 60;
+
+export const EMPTY_SESSION = { accessToken: null, refreshToken: null, expiresAt: null, scope: null };
+
+export const loadSession = () => ({
+  accessToken: localStorage.getItem(STORAGE_KEYS.accessToken),
+  refreshToken: localStorage.getItem(STORAGE_KEYS.refreshToken),
+  expiresAt: parseInt(localStorage.getItem(STORAGE_KEYS.expiresAt)) || null,
+  scope: localStorage.getItem(STORAGE_KEYS.scope),
+});
+
+export const saveSession = (session) => {
+  Object.entries(STORAGE_KEYS).forEach(([field, key]) => {
+    if (session[field]) {
+      localStorage.setItem(key, String(session[field]));
+    } else {
+      localStorage.removeItem(key);
+    }
+  });
+};
+
+export const clearSession = () => saveSession(EMPTY_SESSION);
+
+// A session from a token response. Refresh responses may leave out the
+// scope, which then carries over from `previous`.
+export const sessionFromTokens = (data, previous = EMPTY_SESSION, scope = data.scope) => ({
+  accessToken: data.access_token,
+  refreshToken: data.refresh_token,
+  expiresAt: data.expires_at || null,
+  scope: scope || previous.scope,
+});
+
+// Milliseconds until the session should be refreshed, 0 when it is due.
+// Sessions saved before `expires_at` was kept never come due.
+export const refreshDelay = (session, now = Date.now()) => {
+  if (!session.expiresAt) return Infinity;
+  return Math.max((session.expiresAt - REFRESH_MARGIN_S) * 1000 - now, 0);
+};
+
+// What the granted scope leaves out of the totals:
+//   - 'none': no activity access at all, nothing can be synced
+//   - 'private': only activities visible to everyone; private and
+//     followers-only ones are missing
+// null when all activities are readable or the scope is unknown.
+export const scopeProblem = (scope) => {
+  if (!scope) return null;
+  const granted = scope.split(',');
+  if (granted.includes('activity:read_all')) return null;
+  return granted.includes('activity:read') ? 'private' : 'none';
+};
+
+// Runs `refresh(session)` with the freshest stored session while no other tab
+// does the same. A tab that waited finds the new tokens already stored and
+// returns them without refreshing again.
+export const refreshSession = async (session, refresh) => {
+  const run = async () => {
+    const stored = loadSession();
+    if (!stored.refreshToken) return EMPTY_SESSION;
+    if (stored.refreshToken !== session.refreshToken && refreshDelay(stored) > 0) return stored;
+    const updated = await refresh(stored);
+    saveSession(updated);
+    return updated;
+  };
+  // Without the Web Locks API tabs may race, and the loser logs out
+  return navigator.locks ? navigator.locks.request(REFRESH_LOCK, run) : run();
+};
+
+// Calls `callback(session)` whenever another tab logs in, refreshes or logs
+// out. Returns a function that stops listening.
+export const onSessionChange = (callback) => {
+  const handleStorage = (event) => {
+    if (event.key === STORAGE_KEYS.accessToken || event.key === null) callback(loadSession());
+  };
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+};
@@ -0,0 +1,88 @@
+import {
+  EMPTY_SESSION,
+  loadSession,
+  onSessionChange,
+  refreshDelay,
+  refreshSession,
+  saveSession,
+  scopeProblem,
+  sessionFromTokens,
+} from './session';
+
+const NOW = Date.UTC(2024, 5, 1, 12);
+const session = {
+  accessToken: 'access-1',
+  refreshToken: 'refresh-1',
+  expiresAt: NOW / 1000 + 60 * 60,
+  scope: 'read,activity:read_all',
+};
+
+beforeEach(() => localStorage.clear());
+
+test('keeps the scope across refresh responses that leave it out', () => {
+  const refreshed = sessionFromTokens({ access_token: 'access-2', refresh_token: 'refresh-2', expires_at: 123 }, session);
+  expect(refreshed).toEqual({ accessToken: 'access-2', refreshToken: 'refresh-2', expiresAt: 123, scope: session.scope });
+});
+
+test('stores and reloads a session', () => {
+  saveSession(session);
+  expect(loadSession()).toEqual(session);
+  saveSession(EMPTY_SESSION);
+  expect(loadSession()).toEqual(EMPTY_SESSION);
+});
+
+test('refreshes five minutes before expiry', () => {
+  expect(refreshDelay(session, NOW)).toBe(55 * 60 * 1000);
+  expect(refreshDelay(session, NOW + 2 * 60 * 60 * 1000)).toBe(0);
+  expect(refreshDelay({ ...session, expiresAt: null }, NOW)).toBe(Infinity);
+});
+
+test('explains which activities a granted scope leaves out', () => {
+  expect(scopeProblem('read,activity:read_all,profile:read_all')).toBeNull();
+  expect(scopeProblem('read,activity:read')).toBe('private');
+  expect(scopeProblem('read')).toBe('none');
+  expect(scopeProblem(null)).toBeNull();
+});
+
+describe('refreshing', () => {
+  const refreshed = {
+    ...session,
+    accessToken: 'access-2',
+    refreshToken: 'refresh-2',
+    expiresAt: Math.floor(Date.now() / 1000) + 6 * 60 * 60,
+  };
+
+  test('stores the refreshed session for the other tabs', async () => {
+    saveSession(session);
+    const refresh = jest.fn(async () => refreshed);
+    expect(await refreshSession(session, refresh)).toEqual(refreshed);
+    expect(refresh).toHaveBeenCalledWith(session);
+    expect(loadSession()).toEqual(refreshed);
+  });
+
+  test('takes over tokens another tab refreshed in the meantime', async () => {
+    saveSession(refreshed);
+    const refresh = jest.fn();
+    expect(await refreshSession(session, refresh)).toEqual(refreshed);
+    expect(refresh).not.toHaveBeenCalled();
+  });
+
+  test('does not refresh after another tab logged out', async () => {
+    const refresh = jest.fn();
+    expect(await refreshSession(session, refresh)).toEqual(EMPTY_SESSION);
+    expect(refresh).not.toHaveBeenCalled();
+  });
+});
+
+test('reports token changes made in other tabs', () => {
+  const callback = jest.fn();
+  const stop = onSessionChange(callback);
+  saveSession(session);
+  window.dispatchEvent(new StorageEvent('storage', { key: 'stravaRefreshToken' }));
+  window.dispatchEvent(new StorageEvent('storage', { key: 'stravaAccessToken' }));
+  expect(callback).toHaveBeenCalledTimes(1);
+  expect(callback).toHaveBeenCalledWith(session);
+  stop();
+  window.dispatchEvent(new StorageEvent('storage', { key: 'stravaAccessToken' }));
+  expect(callback).toHaveBeenCalledTimes(1);
+});
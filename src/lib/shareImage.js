@@ -0,0 +1,98 @@
+// Draws a progress snapshot as a PNG for posting elsewhere, with the
+// "Powered by Strava" attribution Strava requires next to its data.
+
+import { getMetric } from './metrics';
+import { formatDateTime, formatPercent, translate } from './i18n';
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const MARGIN = 64;
+const FONT = 'system-ui, -apple-system, "Segoe UI", sans-serif';
+const LOGO_HEIGHT = 40;
+
+// SVGs without width/height draw at zero size in some browsers, so the logo
+// gets explicit dimensions before it is decoded.
+const loadSvg = async (url, height) => {
+  const source = await (await fetch(url)).text();
+  const [, , viewWidth, viewHeight] = source.match(/viewBox="([^"]+)"/)[1].split(/\s+/).map(Number);
+  const width = Math.round((viewWidth / viewHeight) * height);
+  const sized = source.replace('<svg ', `<svg width="${width}" height="${height}" `);
+  const objectUrl = URL.createObjectURL(new Blob([sized], { type: 'image/svg+xml' }));
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = reject;
+      image.src = objectUrl;
+    });
+    return image;
+  } finally {
+    URL.revokeObjectURL(objectUrl);
+  }
+};
+
+const drawText = (context, text, x, y, { size, weight = 'normal', color = '#111827', align = 'left' }) => {
+  context.font = `${weight} ${size}px ${FONT}`;
+  context.fillStyle = color;
+  context.textAlign = align;
+  context.fillText(text, x, y);
+};
+
+export const renderShareImage = async (snapshot, logoUrl) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const context = canvas.getContext('2d');
+  const metric = getMetric(snapshot.metric, snapshot);
+  const t = (key, params) => translate(snapshot.language, key, params);
+  const percent = (value) => formatPercent(snapshot.language, value);
+
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, WIDTH, HEIGHT);
+
+  drawText(context, snapshot.name, MARGIN, 120, { size: 56, weight: 'bold' });
+  drawText(context, `${t('goal.yearGoal', { year: snapshot.year })}: ${metric.format(snapshot.target)}`, MARGIN, 172, {
+    size: 32,
+    color: '#6b7280',
+  });
+
+  // Progress bar with a tick where the pacing model expects the goal to be
+  const barWidth = WIDTH - 2 * MARGIN;
+  context.fillStyle = '#e5e7eb';
+  context.fillRect(MARGIN, 220, barWidth, 40);
+  context.fillStyle = '#3b82f6';
+  context.fillRect(MARGIN, 220, (barWidth * Math.min(snapshot.percentComplete, 100)) / 100, 40);
+  context.fillStyle = '#111827';
+  context.fillRect(MARGIN + (barWidth * Math.min(snapshot.expectedProgress, 100)) / 100 - 2, 210, 4, 60);
+
+  drawText(context, metric.format(snapshot.total), MARGIN, 350, { size: 72, weight: 'bold' });
+  drawText(context, percent(snapshot.percentComplete), WIDTH - MARGIN, 350, {
+    size: 56,
+    weight: 'bold',
+    color: '#3b82f6',
+    align: 'right',
+  });
+
+  const columns = [
+    [t('progress.expected'), metric.format((snapshot.target * snapshot.expectedProgress) / 100)],
+    [t('goal.projected'), metric.format(snapshot.projected)],
+    [t('progress.requiredDaily'), metric.formatRate(snapshot.requiredDaily)],
+  ];
+  columns.forEach(([label, value], index) => {
+    const x = MARGIN + (index * barWidth) / columns.length;
+    drawText(context, label, x, 440, { size: 28, color: '#6b7280' });
+    drawText(context, value, x, 485, { size: 36, weight: 'bold' });
+  });
+
+  drawText(
+    context,
+    t('progress.asOf', { date: formatDateTime(snapshot.language, new Date(snapshot.takenAt)) }),
+    MARGIN,
+    HEIGHT - MARGIN + 8,
+    { size: 24, color: '#6b7280' }
+  );
+  const logo = await loadSvg(logoUrl, LOGO_HEIGHT);
+  context.drawImage(logo, WIDTH - MARGIN - logo.width, HEIGHT - MARGIN - LOGO_HEIGHT + 16);
+
+  return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+};
@@ -0,0 +1,99 @@
+// A goal's progress frozen at one moment, for the share image and the
+// embeddable widget. The widget has no access to the sharer's activities, so
+// the whole snapshot travels in the widget URL's hash.
+
+import { DEFAULT_LANGUAGE, LANGUAGES } from './i18n';
+import { DEFAULT_UNITS, METRICS, UNIT_SYSTEMS } from './metrics';
+
+const VERSION = 1;
+const WIDGET_ROUTE = '#/widget/';
+
+// Values are in the metric's base unit; `units` and `language` are the
+// sharer's, so the widget looks like what they shared.
+export const createSnapshot = ({ goal, year, total, target, progress, preferences, now = new Date() }) => ({
+  v: VERSION,
+  name: goal.name,
+  year,
+  metric: goal.metric,
+  total,
+  target,
+  percentComplete: progress.percentComplete,
+  expectedProgress: progress.expectedProgress,
+  projected: progress.projected,
+  requiredDaily: progress.requiredDaily,
+  units: preferences.units,
+  language: preferences.language,
+  takenAt: now.toISOString(),
+});
+
+// btoa only takes bytes, so text goes through its UTF-8 percent-encoding
+const toBase64Url = (text) => {
+  const binary = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) =>
+    String.fromCharCode(parseInt(hex, 16))
+  );
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return decodeURIComponent(
+    Array.from(binary, (char) => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+  );
+};
+
+export const encodeSnapshot = (snapshot) => toBase64Url(JSON.stringify(snapshot));
+
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+// Anyone can edit a widget URL, so every field is checked. Without a name,
+// year, metric or totals there is nothing to show; the rest falls back to a
+// default, or to null for what the widget can leave out.
+const readSnapshot = (data) => {
+  const isValid = data && data.v === VERSION && typeof data.name === 'string'
+    && Number.isInteger(data.year) && Object.prototype.hasOwnProperty.call(METRICS, data.metric)
+    && Number.isFinite(data.total) && Number.isFinite(data.target);
+  if (!isValid) return null;
+  const takenAt = typeof data.takenAt === 'string' && !Number.isNaN(Date.parse(data.takenAt)) ? data.takenAt : null;
+  return {
+    v: VERSION,
+    name: data.name,
+    year: data.year,
+    metric: data.metric,
+    total: data.total,
+    target: data.target,
+    percentComplete: Number.isFinite(data.percentComplete)
+      ? data.percentComplete
+      : data.target > 0 ? (data.total / data.target) * 100 : 0,
+    expectedProgress: finiteOrNull(data.expectedProgress),
+    projected: finiteOrNull(data.projected),
+    requiredDaily: finiteOrNull(data.requiredDaily),
+    units: UNIT_SYSTEMS.includes(data.units) ? data.units : DEFAULT_UNITS,
+    language: Object.prototype.hasOwnProperty.call(LANGUAGES, data.language) ? data.language : DEFAULT_LANGUAGE,
+    takenAt,
+  };
+};
+
+// Null for anything that is not a snapshot this version can show.
+export const decodeSnapshot = (encoded) => {
+  try {
+    return readSnapshot(JSON.parse(fromBase64Url(encoded)));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const widgetUrl = (snapshot, location = window.location) =>
+  `${location.origin}${location.pathname}${WIDGET_ROUTE}${encodeSnapshot(snapshot)}`;
+
+// Undefined when the hash is not the widget route, null for a broken snapshot.
+export const widgetSnapshotFromHash = (hash) =>
+  hash.startsWith(WIDGET_ROUTE) ? decodeSnapshot(hash.slice(WIDGET_ROUTE.length)) : undefined;
+
+// The snapshot in a pasted widget link or embed code, or null.
+export const snapshotFromLink = (link) => {
+  const match = link.match(/#\/widget\/[\w-]+/);
+  return match ? widgetSnapshotFromHash(match[0]) : null;
+};
+
+export const embedCode = (url, title) =>
+  `<iframe src="${url}" title="${title.replace(/"/g, '&quot;')}" width="360" height="190" style="border:0"></iframe>`;
@@ -0,0 +1,50 @@
+import { createSnapshot, decodeSnapshot, encodeSnapshot, widgetSnapshotFromHash } from './snapshot';
+
+const snapshot = createSnapshot({
+  goal: { name: 'Über 5000', metric: 'distance' },
+  year: 2024,
+  total: 2345.6,
+  target: 5000,
+  progress: { percentComplete: 46.9, expectedProgress: 50.1, projected: 4680, requiredDaily: 14.5 },
+  preferences: { units: 'metric', language: 'de' },
+  now: new Date('2024-07-01T10:00:00Z'),
+});
+
+test('round-trips a snapshot through the widget route', () => {
+  expect(decodeSnapshot(encodeSnapshot(snapshot))).toEqual(snapshot);
+  expect(widgetSnapshotFromHash(`#/widget/${encodeSnapshot(snapshot)}`)).toEqual(snapshot);
+  expect(widgetSnapshotFromHash('#/elsewhere')).toBeUndefined();
+});
+
+test('rejects broken and future snapshots', () => {
+  expect(widgetSnapshotFromHash('#/widget/not-a-snapshot')).toBeNull();
+  expect(decodeSnapshot(encodeSnapshot({ ...snapshot, v: 2 }))).toBeNull();
+});
+
+test('rejects snapshots without the fields the widget cannot do without', () => {
+  [{ year: '2024' }, { metric: 'speed' }, { metric: 'toString' }, { total: 'lots' }, { name: 42 }].forEach((broken) => {
+    expect(decodeSnapshot(encodeSnapshot({ ...snapshot, ...broken }))).toBeNull();
+  });
+});
+
+test('defaults or drops malformed optional fields', () => {
+  const decoded = decodeSnapshot(encodeSnapshot({
+    ...snapshot,
+    language: 'xx',
+    units: 'furlongs',
+    takenAt: 'yesterday',
+    percentComplete: '47%',
+    expectedProgress: null,
+    projected: 'soon',
+    extra: '<script>',
+  }));
+  expect(decoded).toEqual({
+    ...snapshot,
+    language: 'en',
+    units: 'metric',
+    takenAt: null,
+    percentComplete: (2345.6 / 5000) * 100,
+    expectedProgress: null,
+    projected: null,
+  });
+});
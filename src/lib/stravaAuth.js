@@ -0,0 +1,47 @@
+// OAuth token grants. With REACT_APP_TOKEN_ENDPOINT set they go through the
+// token server in server/, which keeps the client secret; otherwise the
+// browser talks to Strava directly and the secret ends up in the bundle.
+
+const CLIENT_ID = process.env.REACT_APP_STRAVA_CLIENT_ID;
+const CLIENT_SECRET = process.env.REACT_APP_STRAVA_CLIENT_SECRET;
+const TOKEN_ENDPOINT = process.env.REACT_APP_TOKEN_ENDPOINT;
+const STRAVA_TOKEN_URL = process.env.REACT_APP_STRAVA_TOKEN_URL || 'https://www.strava.com/oauth/token';
+const AUTHORIZE_URL = process.env.REACT_APP_STRAVA_AUTHORIZE_URL || 'https://www.strava.com/oauth/authorize';
+const DEAUTHORIZE_URL = process.env.REACT_APP_STRAVA_DEAUTHORIZE_URL || 'https://www.strava.com/oauth/deauthorize';
+
+const requestToken = async (params) => {
+  const body = TOKEN_ENDPOINT
+    ? params
+    : { client_id: CLIENT_ID, client_secret: CLIENT_SECRET, ...params };
+  const response = await fetch(TOKEN_ENDPOINT || STRAVA_TOKEN_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+  return response.json();
+};
+
+export const exchangeAuthorizationCode = (code) =>
+  requestToken({ grant_type: 'authorization_code', code });
+
+export const refreshTokens = (refreshToken) =>
+  requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+
+// `state` comes back on the redirect and tells a login from other grants.
+export const authorizeUrl = ({ redirectUri, scope, state = '' }) =>
+  `${AUTHORIZE_URL}?client_id=${CLIENT_ID}&redirect_uri=${redirectUri}&response_type=code&scope=${scope}`
+  + (state ? `&state=${encodeURIComponent(state)}` : '');
+
+// Revokes the app's access to the athlete's account, every token included.
+// Needs no client secret, so it always goes to Strava directly.
+export const deauthorize = async (accessToken) => {
+  const response = await fetch(DEAUTHORIZE_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+    },
+  });
+  if (!response.ok) throw new Error(`Deauthorize failed with status ${response.status}`);
+};
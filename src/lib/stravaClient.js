@@ -0,0 +1,150 @@
+// Strava API client that watches the rate-limit headers, retries rate-limited
+// and transient failures with backoff, gives up straight away once a limit is
+// used up, and reports a paged fetch that broke off halfway instead of
+// quietly returning a short list.
+
+const API_BASE = 'https://www.strava.com/api/v3';
+const PER_PAGE = 200;
+const TRANSIENT_STATUSES = [500, 502, 503, 504];
+const SHORT_TERM_WINDOW_MS = 15 * 60 * 1000;
+
+export class StravaApiError extends Error {
+  constructor(message, { status, rateLimit } = {}) {
+    super(message);
+    this.name = 'StravaApiError';
+    this.status = status;
+    this.rateLimit = rateLimit;
+  }
+}
+
+// The access token was rejected; refresh it or reauthenticate.
+export class UnauthorizedError extends StravaApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+// A rate limit is used up, so retrying before `resetAt` cannot succeed.
+export class RateLimitError extends StravaApiError {
+  constructor(resetAt, details) {
+    super(`Strava rate limit reached until ${resetAt.toISOString()}`, details);
+    this.name = 'RateLimitError';
+    this.resetAt = resetAt;
+  }
+}
+
+// Some pages were fetched before a request failed for good. `activities`
+// holds what did arrive, `cause` the error that ended the fetch.
+export class PartialFetchError extends StravaApiError {
+  constructor(activities, cause) {
+    super(`Fetched ${activities.length} activities before the request failed: ${cause.message}`, cause);
+    this.name = 'PartialFetchError';
+    this.activities = activities;
+    this.cause = cause;
+  }
+}
+
+const parsePair = (value) => {
+  if (!value) return null;
+  const [shortTerm, daily] = value.split(',').map((part) => parseInt(part.trim()));
+  return { shortTerm, daily };
+};
+
+// `X-RateLimit-*` headers hold "15-minute,daily" pairs.
+export const parseRateLimit = (headers) => {
+  const limit = parsePair(headers.get('X-RateLimit-Limit'));
+  const usage = parsePair(headers.get('X-RateLimit-Usage'));
+  return limit && usage ? { limit, usage } : null;
+};
+
+// When a used-up limit frees again: the 15-minute window restarts on the
+// quarter hour, the daily one at midnight UTC. null while both have room.
+export const rateLimitResetAt = (rateLimit, now = new Date()) => {
+  if (!rateLimit) return null;
+  if (rateLimit.usage.daily >= rateLimit.limit.daily) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  }
+  if (rateLimit.usage.shortTerm >= rateLimit.limit.shortTerm) {
+    return new Date((Math.floor(now.getTime() / SHORT_TERM_WINDOW_MS) + 1) * SHORT_TERM_WINDOW_MS);
+  }
+  return null;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const createStravaClient = ({
+  getAccessToken,
+  baseUrl = API_BASE,
+  fetchImpl = (...args) => fetch(...args),
+  maxRetries = 3,
+  baseDelayMs = 1000,
+  sleep = wait,
+  now = () => new Date(),
+  onRateLimit = () => {},
+}) => {
+  const request = async (path, params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    const url = `${baseUrl}${path}${query ? `?${query}` : ''}`;
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetchImpl(url, {
+          headers: { Authorization: `Bearer ${getAccessToken()}` },
+        });
+      } catch (error) {
+        // Network failures are as transient as a 503
+        if (attempt >= maxRetries) throw new StravaApiError(`Network error: ${error.message}`);
+        await sleep(baseDelayMs * 2 ** attempt);
+        continue;
+      }
+
+      const rateLimit = parseRateLimit(response.headers);
+      if (rateLimit) onRateLimit(rateLimit);
+
+      if (response.ok) return response.json();
+
+      if (response.status === 401) {
+        throw new UnauthorizedError('Access token is invalid or expired', { status: 401, rateLimit });
+      }
+
+      const isRateLimited = response.status === 429;
+      const retryAfter = parseInt(response.headers.get('Retry-After'));
+      const resetAt = isRateLimited && !(retryAfter > 0) ? rateLimitResetAt(rateLimit, now()) : null;
+      if (resetAt) throw new RateLimitError(resetAt, { status: 429, rateLimit });
+
+      const isRetryable = isRateLimited || TRANSIENT_STATUSES.includes(response.status);
+      if (!isRetryable || attempt >= maxRetries) {
+        const message = isRateLimited
+          ? 'Strava rate limit reached, try again later'
+          : `Strava request failed with status ${response.status}`;
+        throw new StravaApiError(message, { status: response.status, rateLimit });
+      }
+
+      await sleep(retryAfter > 0 ? retryAfter * 1000 : baseDelayMs * 2 ** attempt);
+    }
+  };
+
+  // All activities between the two epoch-second bounds, oldest first.
+  const listActivities = async ({ after, before }) => {
+    let activities = [];
+    for (let page = 1; ; page++) {
+      let batch;
+      try {
+        batch = await request('/athlete/activities', { after, before, per_page: PER_PAGE, page });
+      } catch (error) {
+        if (activities.length === 0 || error instanceof UnauthorizedError) throw error;
+        throw new PartialFetchError(activities, error);
+      }
+      if (batch.length === 0) return activities;
+      activities = activities.concat(batch);
+    }
+  };
+
+  return {
+    request,
+    listActivities,
+    getAthlete: () => request('/athlete'),
+  };
+};
@@ -0,0 +1,144 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { createMockStrava } from '../../server/mockStrava';
+import {
+  createStravaClient,
+  PartialFetchError,
+  RateLimitError,
+  StravaApiError,
+  UnauthorizedError,
+} from './stravaClient';
+
+// Jest's node environment has no fetch; this covers what the client uses.
+const nodeFetch = (url, { headers } = {}) =>
+  new Promise((resolve, reject) => {
+    http.get(url, { headers }, (response) => {
+      let body = '';
+      response.on('data', (chunk) => {
+        body += chunk;
+      });
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        headers: { get: (name) => response.headers[name.toLowerCase()] ?? null },
+        json: async () => JSON.parse(body),
+      }));
+    }).on('error', reject);
+  });
+
+const activities = Array.from({ length: 450 }, (_, index) => ({
+  id: index + 1,
+  name: `Ride ${index + 1}`,
+  type: 'Ride',
+  start_date: new Date(Date.UTC(2024, 0, 1, 8) + index * 12 * 60 * 60 * 1000).toISOString(),
+  distance: 10000,
+}));
+
+let server;
+let baseUrl;
+
+beforeAll((done) => {
+  server = createMockStrava({ activities, validAccessTokens: ['token'] });
+  server.listen(0, () => {
+    baseUrl = `http://localhost:${server.address().port}/api/v3`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+const createClient = (options = {}) => createStravaClient({
+  getAccessToken: () => 'token',
+  baseUrl,
+  fetchImpl: nodeFetch,
+  sleep: async () => {},
+  ...options,
+});
+
+const YEAR_2024 = { after: Date.UTC(2024, 0, 1) / 1000, before: Date.UTC(2025, 0, 1) / 1000 };
+
+test('pages through all activities and reports the rate-limit usage', async () => {
+  const onRateLimit = jest.fn();
+  const result = await createClient({ onRateLimit }).listActivities(YEAR_2024);
+
+  expect(result).toHaveLength(450);
+  expect(result[0].id).toBe(1);
+  expect(onRateLimit).toHaveBeenLastCalledWith({
+    limit: { shortTerm: 200, daily: 2000 },
+    usage: expect.objectContaining({ shortTerm: expect.any(Number) }),
+  });
+});
+
+test('retries rate-limited and transient failures', async () => {
+  const sleep = jest.fn(async () => {});
+  server.failNext(429, 503);
+
+  const result = await createClient({ sleep }).listActivities(YEAR_2024);
+
+  expect(result).toHaveLength(450);
+  expect(sleep).toHaveBeenCalledTimes(2);
+  expect(sleep.mock.calls[1][0]).toBeGreaterThan(sleep.mock.calls[0][0]);
+});
+
+describe('with a rate limit used up', () => {
+  const NOW = new Date(Date.UTC(2024, 5, 1, 12, 7));
+  const rateLimited = (usage) => async () => ({
+    status: 429,
+    ok: false,
+    headers: { get: (name) => ({ 'X-RateLimit-Limit': '200,2000', 'X-RateLimit-Usage': usage })[name] ?? null },
+  });
+
+  test('fails fast until the 15-minute window restarts', async () => {
+    const sleep = jest.fn(async () => {});
+    const client = createClient({ fetchImpl: rateLimited('200,900'), sleep, now: () => NOW });
+
+    const error = await client.getAthlete().catch((e) => e);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.resetAt).toEqual(new Date(Date.UTC(2024, 5, 1, 12, 15)));
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  test('waits for midnight UTC once the daily limit is reached', async () => {
+    const client = createClient({ fetchImpl: rateLimited('50,2000'), now: () => NOW });
+
+    const error = await client.getAthlete().catch((e) => e);
+
+    expect(error.resetAt).toEqual(new Date(Date.UTC(2024, 5, 2)));
+  });
+});
+
+test('reports a fetch that broke off after some pages', async () => {
+  let requests = 0;
+  const client = createClient({
+    maxRetries: 1,
+    fetchImpl: (url, options) => {
+      requests += 1;
+      if (requests === 2) server.failNext(500, 500);
+      return nodeFetch(url, options);
+    },
+  });
+
+  const error = await client.listActivities(YEAR_2024).catch((e) => e);
+
+  expect(error).toBeInstanceOf(PartialFetchError);
+  expect(error.activities).toHaveLength(200);
+  expect(error.status).toBe(500);
+});
+
+test('gives up on non-retryable errors', async () => {
+  server.failNext(404);
+  await expect(createClient().getAthlete()).rejects.toBeInstanceOf(StravaApiError);
+});
+
+test('signals an invalid access token without retrying', async () => {
+  const sleep = jest.fn(async () => {});
+  const client = createClient({ getAccessToken: () => 'expired', sleep });
+
+  await expect(client.listActivities(YEAR_2024)).rejects.toBeInstanceOf(UnauthorizedError);
+  expect(sleep).not.toHaveBeenCalled();
+});
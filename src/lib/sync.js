@@ -0,0 +1,59 @@
+// One sync of a year from Strava into the activity cache, shared by the page
+// and the service worker's background refresh.
+
+import {
+  deleteActivitiesBetween,
+  getCachedActivities,
+  getMeta,
+  latestStartEpoch,
+  saveActivities,
+  setMeta,
+} from './activityStore';
+import { activityYear, yearFetchRange } from './dates';
+import { PartialFetchError } from './stravaClient';
+
+// Periodic background sync tag, and the message the service worker posts to
+// open pages once it has refreshed the cache.
+export const BACKGROUND_SYNC_TAG = 'refresh-activities';
+export const ACTIVITIES_UPDATED = 'activities-updated';
+
+// Strava's `start_date` has no milliseconds; keep range bounds comparable to it.
+const toStravaDate = (epochSeconds) => new Date(epochSeconds * 1000).toISOString().replace('.000', '');
+
+// Older versions stored a single timestamp for the current year only.
+export const toSyncedYears = (saved) =>
+  typeof saved === 'string' ? { [new Date(saved).getFullYear()]: saved } : saved || {};
+
+// Returns the updated year -> last sync timestamp map. A PartialFetchError is
+// rethrown after caching what did arrive.
+export const syncYear = async (client, { year, fullResync = false }) => {
+  const range = yearFetchRange(year);
+  // Incremental sync: only ask for activities newer than the latest cached
+  // one from Strava. An imported file may be newer than the last sync and
+  // would otherwise hide the Strava rides before it.
+  const cachedInYear = (await getCachedActivities())
+    .filter((activity) => activity.source !== 'file' && activityYear(activity) === year);
+  const after = fullResync
+    ? range.after
+    : Math.max(range.after, latestStartEpoch(cachedInYear));
+
+  let activities;
+  try {
+    activities = await client.listActivities({ after, before: range.before });
+  } catch (error) {
+    if (!(error instanceof PartialFetchError)) throw error;
+    // Keep what did arrive (pages come oldest first, so the next incremental
+    // sync continues from there) but do not pretend the year is complete.
+    await saveActivities(error.activities);
+    throw error;
+  }
+
+  if (fullResync) {
+    // Drops rides that were deleted on Strava since they were cached
+    await deleteActivitiesBetween(toStravaDate(range.after), toStravaDate(range.before));
+  }
+  await saveActivities(activities);
+  const syncedYears = { ...toSyncedYears(await getMeta('lastSyncedAt')), [year]: new Date().toISOString() };
+  await setMeta('lastSyncedAt', syncedYears);
+  return syncedYears;
+};
@@ -0,0 +1,34 @@
+import { syncYear } from './sync';
+import { getCachedActivities, saveActivities } from './activityStore';
+
+// The cache lives in memory here; jsdom has no IndexedDB
+jest.mock('./activityStore', () => ({
+  ...jest.requireActual('./activityStore'),
+  getCachedActivities: jest.fn(),
+  saveActivities: jest.fn(async () => {}),
+  deleteActivitiesBetween: jest.fn(async () => {}),
+  getMeta: jest.fn(async () => ({})),
+  setMeta: jest.fn(async () => {}),
+}));
+
+const epoch = (iso) => new Date(iso).getTime() / 1000;
+
+const activity = (id, startDate, extra = {}) => ({
+  id,
+  start_date: startDate,
+  start_date_local: startDate,
+  ...extra,
+});
+
+test('continues after the latest Strava activity even when an imported file is newer', async () => {
+  getCachedActivities.mockResolvedValue([
+    activity(1, '2024-03-01T08:00:00Z'),
+    activity('file-1', '2024-05-01T08:00:00Z', { source: 'file' }),
+  ]);
+  const client = { listActivities: jest.fn(async () => [activity(2, '2024-04-01T08:00:00Z')]) };
+
+  await syncYear(client, { year: 2024 });
+
+  expect(client.listActivities.mock.calls[0][0].after).toBe(epoch('2024-03-01T08:00:00Z'));
+  expect(saveActivities).toHaveBeenCalledWith([activity(2, '2024-04-01T08:00:00Z')]);
+});
@@ -0,0 +1,160 @@
+// Team goals: one year target shared by several athletes. Members are
+//   - `self`: the athlete using the tracker, counted from the local activities
+//   - `athlete`: another Strava athlete connected on this device; only their
+//     year total is kept, fetched with their own tokens
+//   - `snapshot`: a teammate's total imported from their widget link
+
+import { ACTIVITY_TYPE_GROUPS, matchesGoal } from './goals';
+import { DEFAULT_METRIC, sumMetric } from './metrics';
+import { activityYear, yearFetchRange } from './dates';
+import { encodeSnapshot, snapshotFromLink } from './snapshot';
+import { refreshTokens } from './stravaAuth';
+import { createStravaClient, UnauthorizedError } from './stravaClient';
+
+const STORAGE_KEY = 'teams';
+
+// Marks an OAuth redirect that connects a team member rather than logging in
+export const TEAM_STATE_PREFIX = 'team:';
+
+export const SELF_MEMBER = { id: 'self', kind: 'self' };
+
+export const createTeam = (year = new Date().getFullYear(), name = 'New Team') => ({
+  id: `team-${Date.now()}`,
+  name,
+  year,
+  types: ACTIVITY_TYPE_GROUPS.Cycling,
+  metric: DEFAULT_METRIC,
+  target: 50000,
+  members: [SELF_MEMBER],
+});
+
+export const loadTeams = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    console.error('Error reading saved teams:', error);
+    return [];
+  }
+};
+
+export const saveTeams = (teams) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(teams));
+};
+
+// Adds `member`, or replaces the entry with the same id where it stands.
+export const withMember = (team, member) => ({
+  ...team,
+  members: team.members.some((other) => other.id === member.id)
+    ? team.members.map((other) => (other.id === member.id ? member : other))
+    : [...team.members, member],
+});
+
+// Short stable hash, enough to tell pasted snapshots apart
+const hashText = (text) => {
+  let hash = 0;
+  for (let index = 0; index < text.length; index += 1) {
+    hash = (Math.imul(31, hash) + text.charCodeAt(index)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// A snapshot counts only if it measures the same year and metric as the team.
+// Returns `{ member }` or `{ error: 'invalid' | 'year' | 'metric' }`. The id
+// comes from the snapshot itself, so pasting the same link twice replaces the
+// member instead of counting that teammate twice.
+export const memberFromLink = (link, name, team) => {
+  const snapshot = snapshotFromLink(link);
+  if (!snapshot) return { error: 'invalid' };
+  if (snapshot.year !== team.year) return { error: 'year' };
+  if (snapshot.metric !== team.metric) return { error: 'metric' };
+  return {
+    member: {
+      id: `snapshot-${hashText(encodeSnapshot(snapshot))}`,
+      kind: 'snapshot',
+      name: name || snapshot.name,
+      total: snapshot.total,
+      updatedAt: snapshot.takenAt,
+    },
+  };
+};
+
+// An athlete member from a token response, before their total is fetched.
+export const memberFromTokens = (data) => ({
+  id: `athlete-${data.athlete.id}`,
+  kind: 'athlete',
+  name: [data.athlete.firstname, data.athlete.lastname].filter(Boolean).join(' '),
+  accessToken: data.access_token,
+  refreshToken: data.refresh_token,
+  total: 0,
+  updatedAt: null,
+});
+
+// Fetches the athlete's activities for the team year and keeps their total.
+// An expired access token is refreshed once; a fetch that broke off halfway
+// throws rather than record a short total. Strava rotates the refresh token,
+// so an error after a refresh carries the member with the new tokens as
+// `error.member`, which has to be kept.
+export const refreshAthleteMember = async (member, team, { baseUrl } = {}) => {
+  let { accessToken, refreshToken } = member;
+  const client = createStravaClient({ getAccessToken: () => accessToken, baseUrl });
+  const range = yearFetchRange(team.year);
+
+  let activities;
+  try {
+    activities = await client.listActivities(range);
+  } catch (error) {
+    if (!(error instanceof UnauthorizedError)) throw error;
+    const data = await refreshTokens(refreshToken);
+    if (!data.access_token) throw error;
+    accessToken = data.access_token;
+    refreshToken = data.refresh_token;
+    try {
+      activities = await client.listActivities(range);
+    } catch (retryError) {
+      retryError.member = { ...member, accessToken, refreshToken };
+      throw retryError;
+    }
+  }
+
+  const counted = activities.filter((activity) => activityYear(activity) === team.year && matchesGoal(activity, team));
+  return {
+    ...member,
+    accessToken,
+    refreshToken,
+    total: sumMetric(counted, team.metric),
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+// Athletes connected on this device, for the tokens to revoke on logout.
+export const athleteTokens = (teams) => teams.flatMap((team) => team.members
+  .filter((member) => member.kind === 'athlete' && member.accessToken)
+  .map((member) => member.accessToken));
+
+// Teams without any athlete's tokens, for when this device logs out. The
+// athletes keep their last total until they connect again.
+export const withoutAthleteTokens = (teams) => teams.map((team) => ({
+  ...team,
+  members: team.members.map((member) => (member.kind === 'athlete'
+    ? { ...member, accessToken: null, refreshToken: null }
+    : member)),
+}));
+
+// Each member's total, highest first, with their share of the team total.
+export const teamStandings = (team, activities) => {
+  const ownTotal = sumMetric(
+    activities.filter((activity) => activityYear(activity) === team.year && matchesGoal(activity, team)),
+    team.metric
+  );
+  const members = team.members.map((member) => ({
+    ...member,
+    total: member.kind === 'self' ? ownTotal : member.total,
+  }));
+  const total = members.reduce((sum, member) => sum + member.total, 0);
+  return {
+    total,
+    members: members
+      .map((member) => ({ ...member, share: total > 0 ? member.total / total : 0 }))
+      .sort((a, b) => b.total - a.total),
+  };
+};
@@ -0,0 +1,84 @@
+import { createSnapshot, widgetUrl } from './snapshot';
+import { refreshTokens } from './stravaAuth';
+import { createStravaClient, StravaApiError, UnauthorizedError } from './stravaClient';
+import {
+  createTeam,
+  memberFromLink,
+  refreshAthleteMember,
+  teamStandings,
+  withMember,
+  withoutAthleteTokens,
+} from './teams';
+
+jest.mock('./stravaAuth', () => ({ refreshTokens: jest.fn() }));
+jest.mock('./stravaClient', () => ({
+  ...jest.requireActual('./stravaClient'),
+  createStravaClient: jest.fn(),
+}));
+
+const ride = (date, km) => ({ type: 'Ride', sport_type: 'Ride', start_date: `${date}T12:00:00Z`, distance: km * 1000 });
+const location = { origin: 'https://tracker.example', pathname: '/' };
+
+const team = createTeam(2024);
+const link = (year, metric = 'distance') => widgetUrl(createSnapshot({
+  goal: { name: 'Anna 2024', metric },
+  year,
+  total: 1200,
+  target: 5000,
+  progress: { percentComplete: 24, expectedProgress: 30, projected: 4000, requiredDaily: 12 },
+  preferences: { units: 'metric', language: 'en' },
+  now: new Date(Date.UTC(2024, 5, 1)),
+}), location);
+
+test('adds a teammate from their widget link only for the same year and metric', () => {
+  expect(memberFromLink(link(2024), 'Anna', team).member).toMatchObject({ kind: 'snapshot', name: 'Anna', total: 1200 });
+  expect(memberFromLink(link(2023), 'Anna', team).error).toBe('year');
+  expect(memberFromLink(link(2024, 'elevation'), 'Anna', team).error).toBe('metric');
+  expect(memberFromLink('https://tracker.example/', 'Anna', team).error).toBe('invalid');
+});
+
+test('replaces a teammate whose link is pasted again', () => {
+  const first = withMember(team, memberFromLink(link(2024), 'Anna', team).member);
+  const again = withMember(first, memberFromLink(link(2024), 'Anna R.', team).member);
+
+  expect(again.members).toHaveLength(2);
+  expect(again.members[1].name).toBe('Anna R.');
+  expect(teamStandings(again, []).total).toBe(1200);
+});
+
+test('ranks members by their contribution to the team total', () => {
+  const withAnna = withMember(team, memberFromLink(link(2024), 'Anna', team).member);
+  const withBen = withMember(withAnna, { id: 'athlete-7', kind: 'athlete', name: 'Ben', total: 300 });
+  const activities = [ride('2024-05-01', 400), ride('2024-06-01', 100), ride('2023-06-01', 999)];
+
+  const standings = teamStandings(withBen, activities);
+  expect(standings.total).toBe(2000);
+  expect(standings.members.map(({ id, total, share }) => [id.split('-')[0], total, share])).toEqual([
+    ['snapshot', 1200, 0.6],
+    ['self', 500, 0.25],
+    ['athlete', 300, 0.15],
+  ]);
+});
+
+describe('connected athletes', () => {
+  const ben = { id: 'athlete-7', kind: 'athlete', name: 'Ben', accessToken: 'a1', refreshToken: 'r1', total: 300 };
+
+  test('keeps rotated tokens when the fetch fails after a refresh', async () => {
+    refreshTokens.mockResolvedValue({ access_token: 'a2', refresh_token: 'r2' });
+    const listActivities = jest.fn()
+      .mockRejectedValueOnce(new UnauthorizedError('expired'))
+      .mockRejectedValueOnce(new StravaApiError('Server error', { status: 503 }));
+    createStravaClient.mockReturnValue({ listActivities });
+
+    const error = await refreshAthleteMember(ben, team).catch((caught) => caught);
+    expect(error.status).toBe(503);
+    expect(error.member).toEqual({ ...ben, accessToken: 'a2', refreshToken: 'r2' });
+    expect(refreshTokens).toHaveBeenCalledWith('r1');
+  });
+
+  test('drops athletes\' tokens but keeps their totals', () => {
+    const [stripped] = withoutAthleteTokens([withMember(team, ben)]);
+    expect(stripped.members.find((member) => member.id === ben.id))
+      .toEqual({ ...ben, accessToken: null, refreshToken: null });
+  });
+});
@@ -0,0 +1,50 @@
+/* eslint-disable no-restricted-globals */
+
+// Built by react-scripts into service-worker.js. Precaches the app shell so
+// the tracker opens offline with the activities cached in IndexedDB, and
+// refreshes the current year from Strava on periodic background sync.
+
+import { clientsClaim } from 'workbox-core';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { getMeta } from './lib/activityStore';
+import { createStravaClient } from './lib/stravaClient';
+import { ACTIVITIES_UPDATED, BACKGROUND_SYNC_TAG, syncYear } from './lib/sync';
+
+self.addEventListener('install', () => self.skipWaiting());
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get index.html; requests for files (anything with an extension)
+// go to the network or the precache as usual.
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+const refreshActivities = async () => {
+  const accessToken = await getMeta('accessToken');
+  if (!accessToken) return;
+
+  const client = createStravaClient({
+    getAccessToken: () => accessToken,
+    baseUrl: process.env.REACT_APP_STRAVA_API_URL,
+    maxRetries: 1,
+  });
+  try {
+    await syncYear(client, { year: new Date().getFullYear() });
+  } catch (error) {
+    // An expired token is refreshed the next time the page opens
+    console.error('Background refresh failed:', error);
+    return;
+  }
+
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach((client) => client.postMessage({ type: ACTIVITIES_UPDATED }));
+};
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === BACKGROUND_SYNC_TAG) event.waitUntil(refreshActivities());
+});
@@ -0,0 +1,41 @@
+// Registers the service worker that caches the app shell and refreshes
+// activities in the background. Only production builds register it, so
+// development always runs against fresh code.
+
+import { ACTIVITIES_UPDATED, BACKGROUND_SYNC_TAG } from './lib/sync';
+
+const BACKGROUND_SYNC_INTERVAL_MS = 12 * 60 * 60 * 1000;
+
+// Periodic background sync is only offered to installed apps; elsewhere the
+// page syncs when it opens or comes back online.
+const registerPeriodicSync = async (registration) => {
+  if (!('periodicSync' in registration)) return;
+  const { state } = await navigator.permissions.query({ name: 'periodic-background-sync' });
+  if (state === 'granted') {
+    await registration.periodicSync.register(BACKGROUND_SYNC_TAG, { minInterval: BACKGROUND_SYNC_INTERVAL_MS });
+  }
+};
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+      await registerPeriodicSync(registration);
+    } catch (error) {
+      console.error('Error registering service worker:', error);
+    }
+  });
+};
+
+// Calls `callback` whenever the service worker refreshed the activity cache.
+// Returns the unsubscribe function, so it can be returned from an effect.
+export const onBackgroundSync = (callback) => {
+  if (!('serviceWorker' in navigator)) return () => {};
+  const handleMessage = (event) => {
+    if (event.data && event.data.type === ACTIVITIES_UPDATED) callback();
+  };
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+};
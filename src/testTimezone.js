@@ -0,0 +1,5 @@
+// Runs the tests in a zone with daylight saving time, so the calendar math is
+// checked across the clock changes whatever zone the machine is in.
+module.exports = () => {
+  process.env.TZ = 'Europe/Berlin';
+};